@@ -1,21 +1,72 @@
-import { LambdaClient, ListFunctionsCommand, ListEventSourceMappingsCommand, GetFunctionCommand, ListAliasesCommand } from '@aws-sdk/client-lambda';
+import {
+  LambdaClient,
+  ListFunctionsCommand,
+  ListEventSourceMappingsCommand,
+  GetFunctionCommand,
+  GetPolicyCommand,
+  GetFunctionUrlConfigCommand,
+  GetFunctionEventInvokeConfigCommand,
+  GetFunctionConcurrencyCommand,
+  ListTagsCommand,
+  ListFunctionEventInvokeConfigsCommand,
+  ListAliasesCommand
+} from '@aws-sdk/client-lambda';
+import { EventBridgeClient, ListEventBusesCommand, ListRulesCommand, ListTargetsByRuleCommand } from '@aws-sdk/client-eventbridge';
+import { S3Client, ListBucketsCommand, GetBucketNotificationConfigurationCommand } from '@aws-sdk/client-s3';
+import { SNSClient, ListSubscriptionsByTopicCommand, GetSubscriptionAttributesCommand } from '@aws-sdk/client-sns';
+import { SFNClient, ListStateMachinesCommand, DescribeStateMachineCommand } from '@aws-sdk/client-sfn';
+import {
+  APIGatewayClient,
+  GetRestApisCommand,
+  GetResourcesCommand,
+  GetMethodCommand,
+  GetAuthorizersCommand as GetRestApiAuthorizersCommand
+} from '@aws-sdk/client-api-gateway';
+import {
+  ApiGatewayV2Client,
+  GetApisCommand,
+  GetRoutesCommand,
+  GetIntegrationsCommand,
+  GetAuthorizersCommand as GetHttpApiAuthorizersCommand
+} from '@aws-sdk/client-apigatewayv2';
+import {
+  IAMClient,
+  ListRolePoliciesCommand,
+  GetRolePolicyCommand,
+  ListAttachedRolePoliciesCommand,
+  GetPolicyCommand as GetManagedPolicyCommand,
+  GetPolicyVersionCommand
+} from '@aws-sdk/client-iam';
 import { STSClient, GetCallerIdentityCommand } from '@aws-sdk/client-sts';
-import { fromNodeProviderChain } from '@aws-sdk/credential-providers';
-import AdmZip from 'adm-zip';
+import { EC2Client, DescribeRegionsCommand } from '@aws-sdk/client-ec2';
+import { fromIni, fromNodeProviderChain, fromTemporaryCredentials } from '@aws-sdk/credential-providers';
+import yauzl from 'yauzl';
+import { createHash } from 'node:crypto';
 import https from 'node:https';
 import { URL } from 'node:url';
 import { serviceColors } from './serviceColors.js';
+import { createFixtureStore, resolveFixtureOptions } from './fixtureStore.js';
+import { consumeWithConcurrency, mapWithConcurrency, resolveConcurrency } from './concurrency.js';
+import { createCodeArchiveCache, resolveCodeCacheOptions } from './codeArchiveCache.js';
+import { analyzeJavaScriptSource, isJavaScriptFile } from './jsAnalyzer.js';
+import { analyzePythonSource, createVendoredPythonMatcher, isPythonFile } from './pythonAnalyzer.js';
 
 const serviceNameMap = {
   lambda: 'Lambda',
   s3: 'S3',
+  apigateway: 'APIGateway',
+  executeapi: 'APIGateway',
+  cognitoidp: 'Cognito',
   dynamodb: 'DynamoDB',
   sqs: 'SQS',
   sns: 'SNS',
   events: 'EventBridge',
   eventbridge: 'EventBridge',
   states: 'StepFunctions',
+  sfn: 'StepFunctions',
+  stepfunctions: 'StepFunctions',
   logs: 'CloudWatch',
+  cloudwatchlogs: 'CloudWatch',
   cloudwatch: 'CloudWatch',
   cloudwatchevents: 'CloudWatchEvents',
   cloudtrail: 'CloudTrail',
@@ -29,14 +80,63 @@ const serviceNameMap = {
   ssm: 'SSM',
   ssmmessages: 'SSM',
   servicediscovery: 'CloudMap',
-  kinesis: 'Kinesis'
+  kinesis: 'Kinesis',
+  cognitoidentity: 'CognitoIdentity',
+  rdsdata: 'RDSData',
+  redshiftdata: 'RedshiftData',
+  ses: 'SES',
+  sts: 'STS',
+  xray: 'XRay',
+  iot: 'IoT',
+  es: 'OpenSearch',
+  sagemaker: 'SageMaker',
+  elasticache: 'ElastiCache',
+  cloudformation: 'CloudFormation',
+  ecr: 'ECR',
+  ecs: 'ECS',
+  eks: 'EKS',
+  acm: 'ACM'
+};
+
+// SDK client names ("@aws-sdk/client-*", "AWS.*", boto3) whose IAM action prefix differs, so code usage
+// and role grants name a service the same way. Keys drop separators and case like normalizeService.
+const SDK_CLIENT_IAM_PREFIXES = {
+  apigatewaymanagementapi: 'execute-api',
+  apigatewayv2: 'apigateway',
+  bedrockagent: 'bedrock',
+  bedrockagentruntime: 'bedrock',
+  bedrockruntime: 'bedrock',
+  cloudwatchevents: 'events',
+  cloudwatchlogs: 'logs',
+  cognitoidentityprovider: 'cognito-idp',
+  cognitoidentityserviceprovider: 'cognito-idp',
+  dynamodbstreams: 'dynamodb',
+  efs: 'elasticfilesystem',
+  elasticloadbalancingv2: 'elasticloadbalancing',
+  elb: 'elasticloadbalancing',
+  elbv2: 'elasticloadbalancing',
+  eventbridge: 'events',
+  iotdata: 'iot',
+  iotdataplane: 'iot',
+  opensearch: 'es',
+  rdsdataservice: 'rds-data',
+  sagemakerruntime: 'sagemaker',
+  s3control: 's3',
+  sesv2: 'ses',
+  sfn: 'states',
+  stepfunctions: 'states',
+  timestreamquery: 'timestream',
+  timestreamwrite: 'timestream'
 };
 
 const TEXT_FILE_EXTENSIONS = new Set([
   'js',
   'mjs',
   'cjs',
+  'jsx',
   'ts',
+  'mts',
+  'cts',
   'tsx',
   'json',
   'py',
@@ -57,17 +157,43 @@ const TEXT_FILE_EXTENSIONS = new Set([
 const MAX_ARCHIVE_SIZE_BYTES = 20 * 1024 * 1024; // 20 MB safety cap
 const MAX_ENTRY_SIZE_BYTES = 10 * 1024 * 1024; // process text files up to 10 MB
 const MAX_TOTAL_TEXT_BYTES = 40 * 1024 * 1024; // aggregate cap for text parsing
-
-const codeSearchIndex = [];
+const MAX_COMPRESSION_RATIO = 200; // entries inflating beyond this are treated as zip bombs
+const SDK_MAX_ATTEMPTS = 6; // per call, throttled or transient failures included
+// Wheel RECORD files tell vendored Python dependencies apart from the function's own modules.
+const PYTHON_RECORD_PATTERN = /\.dist-info\/RECORD$/;
+
+// Cached code packages hold what the extractor kept, so changing which files it reads or how much of them
+// must not serve entries extracted under the old rules.
+const CODE_EXTRACTOR_VERSION = createHash('sha256')
+  .update(JSON.stringify([
+    Array.from(TEXT_FILE_EXTENSIONS).sort(),
+    PYTHON_RECORD_PATTERN.source,
+    MAX_ENTRY_SIZE_BYTES,
+    MAX_TOTAL_TEXT_BYTES,
+    MAX_COMPRESSION_RATIO
+  ]))
+  .digest('hex')
+  .slice(0, 12);
+
+let codeSearchIndex = [];
 let codeIndexMeta = { lastUpdated: null };
 const nodeModulesPattern = /(^|\/)node_modules(\/|$)/i;
 
-function resetCodeSearchIndex() {
-  codeSearchIndex.length = 0;
-  codeIndexMeta = { lastUpdated: null };
+// A refresh builds its own index and only replaces the served one once discovery succeeds,
+// so search and evidence keep matching the graph on screen while it runs or if it fails.
+function publishCodeSearchIndex(index) {
+  codeSearchIndex = index;
+  codeIndexMeta = { lastUpdated: new Date().toISOString() };
+}
+
+// Dependencies bundled in node_modules or installed next to a Python handler are not the function's own code.
+// Indexing and analysis both read only what this returns, so every evidence location can be opened from the index.
+function selectOwnSourceEntries(entries) {
+  const isVendoredPython = createVendoredPythonMatcher(entries);
+  return entries.filter((entry) => !entry?.path || !(nodeModulesPattern.test(entry.path) || isVendoredPython(entry.path)));
 }
 
-function addEntriesToCodeIndex(lambdaFunction, entries) {
+function addEntriesToCodeIndex(index, lambdaFunction, entries) {
   if (!Array.isArray(entries) || entries.length === 0) {
     return;
   }
@@ -79,17 +205,13 @@ function addEntriesToCodeIndex(lambdaFunction, entries) {
     if (!entry || typeof entry.content !== 'string') {
       return;
     }
-    if (entry.path && nodeModulesPattern.test(entry.path)) {
-      return;
-    }
-    codeSearchIndex.push({
+    index.push({
       functionId,
       functionName,
       path: entry.path || 'unknown',
       lines: entry.content.split(/\r?\n/)
     });
   });
-  codeIndexMeta.lastUpdated = new Date().toISOString();
 }
 
 function searchCodeIndex(query, options = {}) {
@@ -141,6 +263,25 @@ function searchCodeIndex(query, options = {}) {
   };
 }
 
+// Resolves the file/line recorded on a code-derived edge back to the indexed source around it.
+function readCodeEvidence(functionId, filePath, lineNumber) {
+  const file = codeSearchIndex.find((candidate) => candidate.functionId === functionId && candidate.path === filePath);
+  if (!file) {
+    return null;
+  }
+  const index = Math.min(Math.max(0, (Number(lineNumber) || 1) - 1), Math.max(0, file.lines.length - 1));
+  const start = Math.max(0, index - 3);
+  const end = Math.min(file.lines.length, index + 4);
+  return {
+    functionId: file.functionId,
+    functionName: file.functionName,
+    path: file.path,
+    lineNumber: index + 1,
+    contextStart: start + 1,
+    context: file.lines.slice(start, end)
+  };
+}
+
 function getCodeIndexStatus() {
   return {
     ready: Boolean(codeIndexMeta.lastUpdated),
@@ -228,12 +369,38 @@ const SERVICE_HINT_PATTERNS = {
   }
 };
 
+function compactObject(value) {
+  if (!value || typeof value !== 'object') {
+    return null;
+  }
+  const entries = Object.entries(value).filter(([, item]) => item !== undefined && item !== null);
+  return entries.length ? Object.fromEntries(entries) : null;
+}
+
+const CONFIDENCE_LEVELS = ['heuristic', 'inferred', 'confirmed'];
+
+// Edges read from an AWS API response are facts; code analysis passes its own provenance and a lower confidence.
+function fromApi(api, confidence = 'confirmed') {
+  return { provenance: { source: 'api', api }, confidence };
+}
+
+function fromCode(functionId, locations, confidence) {
+  return { provenance: { source: 'code', functionId, locations }, confidence };
+}
+
+// Each event source mapping is its own edge: a queue can feed $LATEST and an alias, or keep a
+// disabled mapping next to an enabled one, and every mapping has its own state and settings.
+function edgeKey(edge) {
+  const key = `${edge.source}|${edge.target}|${edge.type ?? ''}`;
+  return edge.type === 'eventSource' && edge.metadata?.eventSourceMapping ? `${key}|${edge.metadata.eventSourceMapping}` : key;
+}
+
 class GraphBuilder {
   constructor() {
     this.nodes = [];
     this.edges = [];
     this.nodeIndex = new Map();
-    this.edgeIndex = new Set();
+    this.edgeIndex = new Map();
   }
 
   addNode(node) {
@@ -241,14 +408,40 @@ class GraphBuilder {
       throw new Error('Node must include an id');
     }
 
+    const attributes = compactObject(node.attributes);
+
+    // Later discoveries refine a known node: gaps are filled and attributes merged, the first label and service stay.
     if (this.nodeIndex.has(node.id)) {
-      return this.nodeIndex.get(node.id);
+      const existing = this.nodeIndex.get(node.id);
+      if (existing.label === existing.id && node.label) {
+        existing.label = node.label;
+      }
+      if (existing.service === 'Unknown' && node.service) {
+        existing.service = node.service;
+      }
+      if (!existing.region && node.region) {
+        existing.region = node.region;
+      }
+      if (!existing.accountId && node.accountId) {
+        existing.accountId = node.accountId;
+      }
+      if (attributes) {
+        existing.attributes = { ...existing.attributes, ...attributes };
+      }
+      if (node.subgraph && !existing.subgraph) {
+        existing.subgraph = node.subgraph;
+      }
+      return existing;
     }
 
     const normalizedNode = {
       id: node.id,
       label: node.label ?? node.id,
-      service: node.service ?? 'Unknown'
+      service: node.service ?? 'Unknown',
+      ...(node.region ? { region: node.region } : {}),
+      ...(node.accountId ? { accountId: node.accountId } : {}),
+      ...(attributes ? { attributes } : {}),
+      ...(node.subgraph ? { subgraph: node.subgraph } : {})
     };
 
     this.nodes.push(normalizedNode);
@@ -261,19 +454,40 @@ class GraphBuilder {
       return;
     }
 
-    const key = `${edge.source}|${edge.target}|${edge.type ?? ''}`;
+    const key = edgeKey(edge);
+    const provenance = compactObject(edge.provenance);
+    const confidence = CONFIDENCE_LEVELS.includes(edge.confidence) ? edge.confidence : null;
+
+    // The same link found again with stronger evidence (e.g. an API after a code match) takes over its provenance.
     if (this.edgeIndex.has(key)) {
+      const existing = this.edgeIndex.get(key);
+      if (confidence && CONFIDENCE_LEVELS.indexOf(confidence) > CONFIDENCE_LEVELS.indexOf(existing.confidence)) {
+        existing.confidence = confidence;
+        if (provenance) {
+          existing.provenance = provenance;
+        }
+      }
       return;
     }
 
+    const sourceAccount = this.nodeIndex.get(edge.source)?.accountId;
+    const targetAccount = this.nodeIndex.get(edge.target)?.accountId;
+    const crossAccount = Boolean(sourceAccount && targetAccount && sourceAccount !== targetAccount);
+
+    const metadata = compactObject(edge.metadata);
+
     const normalizedEdge = {
       source: edge.source,
       target: edge.target,
-      ...(edge.type ? { type: edge.type } : {})
+      ...(edge.type ? { type: edge.type } : {}),
+      ...(crossAccount ? { crossAccount: true } : {}),
+      ...(metadata ? { metadata } : {}),
+      ...(provenance ? { provenance } : {}),
+      ...(confidence ? { confidence } : {})
     };
 
     this.edges.push(normalizedEdge);
-    this.edgeIndex.add(key);
+    this.edgeIndex.set(key, normalizedEdge);
   }
 
   toGraph() {
@@ -289,6 +503,84 @@ function resolveRegion() {
   return region;
 }
 
+function parseListSetting(value) {
+  if (typeof value !== 'string') {
+    return [];
+  }
+  return value
+    .split(/[\s,]+/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// AWS_GRAPH_ALIAS_NODES=true draws aliases and the versions they route to as their own nodes.
+function resolveAliasNodes() {
+  return ['1', 'true', 'yes', 'on'].includes(String(process.env.AWS_GRAPH_ALIAS_NODES || '').trim().toLowerCase());
+}
+
+// AWS_GRAPH_REGIONS accepts a comma-separated list of regions, or "all" for every enabled region.
+function resolveRegions() {
+  const configured = parseListSetting(process.env.AWS_GRAPH_REGIONS);
+  if (configured.some((region) => region.toLowerCase() === 'all')) {
+    return 'all';
+  }
+  return configured.length ? configured : [resolveRegion()];
+}
+
+async function listEnabledRegions(ec2Client) {
+  const response = await ec2Client.send(new DescribeRegionsCommand({ AllRegions: false }));
+  return (response.Regions || [])
+    .map((entry) => entry.RegionName)
+    .filter(Boolean)
+    .sort((a, b) => a.localeCompare(b));
+}
+
+// AWS_GRAPH_PROFILES lists named profiles and AWS_GRAPH_ROLE_ARNS lists roles to assume; without
+// either, the default provider chain is the only account scanned.
+function resolveAccountSources() {
+  const profiles = parseListSetting(process.env.AWS_GRAPH_PROFILES).map((profile) => ({ profile }));
+  const roles = parseListSetting(process.env.AWS_GRAPH_ROLE_ARNS).map((roleArn) => ({ roleArn }));
+  const sources = [...profiles, ...roles];
+  return sources.length ? sources : [{}];
+}
+
+function describeAccountSource(source = {}) {
+  if (source.profile) {
+    return `profile ${source.profile}`;
+  }
+  if (source.roleArn) {
+    return `role ${source.roleArn}`;
+  }
+  return 'default credentials';
+}
+
+function createCredentialProvider(source = {}) {
+  if (source.profile) {
+    return fromIni({ profile: source.profile });
+  }
+  if (source.roleArn) {
+    return fromTemporaryCredentials({
+      params: {
+        RoleArn: source.roleArn,
+        RoleSessionName: source.sessionName || 'aws-graph'
+      },
+      masterCredentials: fromNodeProviderChain({ timeout: 5000 })
+    });
+  }
+  return fromNodeProviderChain({
+    timeout: 5000
+  });
+}
+
+async function resolveDiscoveryRegions(requested, defaultRegion, account) {
+  if (requested === 'all') {
+    return listEnabledRegions(account.createClient(EC2Client, defaultRegion));
+  }
+  const regions = Array.isArray(requested) ? requested : parseListSetting(requested);
+  const unique = Array.from(new Set(regions.filter(Boolean)));
+  return unique.length ? unique : [defaultRegion];
+}
+
 function normalizeService(rawService = '') {
   const key = rawService.replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
   if (serviceNameMap[key]) {
@@ -301,6 +593,11 @@ function normalizeService(rawService = '') {
   return capitalized;
 }
 
+function normalizeSdkService(clientName = '') {
+  const key = clientName.replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
+  return normalizeService(SDK_CLIENT_IAM_PREFIXES[key] ?? clientName);
+}
+
 function parseArn(arn) {
   if (typeof arn !== 'string' || !arn.startsWith('arn:')) {
     return null;
@@ -342,13 +639,15 @@ function parseArn(arn) {
   };
 }
 
-function describeArn(arn) {
+function describeArn(arn, scope = {}) {
   const parsed = parseArn(arn);
   if (!parsed) {
     return {
       id: arn,
       label: arn,
-      service: 'Unknown'
+      service: 'Unknown',
+      region: scope.region,
+      accountId: scope.accountId
     };
   }
 
@@ -366,26 +665,56 @@ function describeArn(arn) {
   return {
     id: arn,
     label,
-    service: niceService
+    service: niceService,
+    region: parsed.region || scope.region,
+    accountId: parsed.accountId || scope.accountId
   };
 }
 
-function createVpcNode(id, type) {
+function createVpcNode(id, type, scope = {}) {
   const label = `${type}:${id}`;
   return {
     id: `${type}:${id}`,
     label,
-    service: 'VPC'
+    service: 'VPC',
+    region: scope.region,
+    accountId: scope.accountId
   };
 }
 
-async function validateCredentials(region) {
-  const provider = fromNodeProviderChain({
-    timeout: 5000
-  });
+// Clients are routed through the fixture store (when one is configured) so every SDK call can be
+// recorded to disk or served from it. The SDK's retries happen inside `send`, so recordings only hold final
+// outcomes; adaptive mode adds client-side rate limiting that backs off for every caller once throttling starts.
+function createAwsClient(fixtures, ClientClass, config, namespace) {
+  const client = new ClientClass({ ...config, retryMode: 'adaptive', maxAttempts: SDK_MAX_ATTEMPTS });
+  if (!fixtures) {
+    return client;
+  }
+  return fixtures.wrapClient(client, { ...namespace, service: ClientClass.name });
+}
+
+function createAccountClientFactory(fixtures, sourceLabel, credentials) {
+  const clients = new Map();
+  return (ClientClass, region) => {
+    const key = `${ClientClass.name}|${region}`;
+    if (!clients.has(key)) {
+      clients.set(key, createAwsClient(fixtures, ClientClass, { region, credentials }, { account: sourceLabel, region }));
+    }
+    return clients.get(key);
+  };
+}
+
+async function validateCredentials(region, source, fixtures) {
+  // Replay never touches real credentials; the recorded GetCallerIdentity response stands in for them.
+  const provider = fixtures?.mode === 'replay' ? null : createCredentialProvider(source);
   try {
-    const credentials = await provider();
-    const sts = new STSClient({ region: region || 'us-east-1', credentials });
+    const credentials = provider ? await provider() : undefined;
+    const sts = createAwsClient(
+      fixtures,
+      STSClient,
+      { region: region || 'us-east-1', credentials },
+      { account: describeAccountSource(source), region: region || 'us-east-1' }
+    );
     const identity = await sts.send(new GetCallerIdentityCommand({}));
     return { ok: true, credentials, identity };
   } catch (error) {
@@ -423,6 +752,62 @@ async function listAllEventSourceMappings(lambdaClient, functionArn) {
   return results;
 }
 
+async function getFunctionPolicy(lambdaClient, functionArn, qualifier) {
+  try {
+    const response = await lambdaClient.send(new GetPolicyCommand({
+      FunctionName: functionArn,
+      ...(qualifier ? { Qualifier: qualifier } : {})
+    }));
+    return response.Policy ? JSON.parse(response.Policy) : null;
+  } catch (error) {
+    // Functions without a resource policy answer with ResourceNotFoundException.
+    if (error?.name === 'ResourceNotFoundException') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function getFunctionUrlConfig(lambdaClient, functionArn, qualifier) {
+  try {
+    return await lambdaClient.send(new GetFunctionUrlConfigCommand({
+      FunctionName: functionArn,
+      ...(qualifier ? { Qualifier: qualifier } : {})
+    }));
+  } catch (error) {
+    if (error?.name === 'ResourceNotFoundException') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function getFunctionEventInvokeConfig(lambdaClient, functionArn) {
+  try {
+    return await lambdaClient.send(new GetFunctionEventInvokeConfigCommand({ FunctionName: functionArn }));
+  } catch (error) {
+    if (error?.name === 'ResourceNotFoundException') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function listAllEventInvokeConfigs(lambdaClient, functionArn) {
+  const configs = [];
+  let marker;
+  do {
+    const command = new ListFunctionEventInvokeConfigsCommand({ FunctionName: functionArn, Marker: marker });
+    // eslint-disable-next-line no-await-in-loop
+    const response = await lambdaClient.send(command);
+    if (response.FunctionEventInvokeConfigs) {
+      configs.push(...response.FunctionEventInvokeConfigs);
+    }
+    marker = response.NextMarker;
+  } while (marker);
+  return configs;
+}
+
 async function listAllAliases(lambdaClient, functionArn) {
   const aliases = [];
   let marker;
@@ -463,56 +848,279 @@ function extractArnsFromEnv(env = {}) {
   return Array.from(arns);
 }
 
-function addEventSourceRelations(builder, functionNodeId, mappings, qualifierArns) {
+const DESTINATION_EDGE_TYPES = [['OnSuccess', 'onSuccess'], ['OnFailure', 'onFailure']];
+
+function addEventSourceRelations(builder, functionNodeId, mappings, qualifierArns, scope) {
   mappings.forEach((mapping) => {
     if (!mapping.EventSourceArn) {
       return;
     }
-    const node = describeArn(mapping.EventSourceArn);
+    const node = describeArn(mapping.EventSourceArn, scope);
     builder.addNode(node);
-    let targetId = functionNodeId;
+    // Mappings bound to an alias or version attach to its node when one exists.
     const mappingFunctionArn = mapping.FunctionArn;
-    if (mappingFunctionArn && mappingFunctionArn !== functionNodeId) {
-      const normalizedMapping = normalizeFunctionArn(mappingFunctionArn);
-      if (normalizedMapping === functionNodeId || (qualifierArns && qualifierArns.has(mappingFunctionArn))) {
-        targetId = functionNodeId;
+    const targetId = mappingFunctionArn && qualifierArns?.has(mappingFunctionArn)
+      ? resolveTargetNodeId(builder, mappingFunctionArn)
+      : functionNodeId;
+    const filterPatterns = (mapping.FilterCriteria?.Filters || []).map((filter) => filter.Pattern).filter(Boolean);
+    builder.addEdge({
+      source: node.id,
+      target: targetId,
+      type: 'eventSource',
+      metadata: {
+        eventSourceMapping: mapping.UUID,
+        state: mapping.State,
+        batchSize: mapping.BatchSize,
+        maximumBatchingWindowInSeconds: mapping.MaximumBatchingWindowInSeconds,
+        startingPosition: mapping.StartingPosition,
+        bisectBatchOnFunctionError: mapping.BisectBatchOnFunctionError,
+        filterPatterns: filterPatterns.length ? filterPatterns : undefined,
+        qualifiedArn: mappingFunctionArn && mappingFunctionArn !== targetId ? mappingFunctionArn : undefined
+      },
+      ...fromApi('lambda:ListEventSourceMappings')
+    });
+
+    // Records the mapping could not process are sent from the source straight to its destination.
+    DESTINATION_EDGE_TYPES.forEach(([key, type]) => {
+      const destination = mapping.DestinationConfig?.[key]?.Destination;
+      if (!destination) {
+        return;
+      }
+      const destinationNode = describeArn(resolveTargetNodeId(builder, destination), scope);
+      builder.addNode(destinationNode);
+      builder.addEdge({
+        source: node.id,
+        target: destinationNode.id,
+        type,
+        metadata: { eventSourceMapping: mapping.UUID, functionArn: targetId },
+        ...fromApi('lambda:ListEventSourceMappings')
+      });
+    });
+  });
+}
+
+const INVOKE_ACTIONS = new Set(['lambda:invokefunction', 'lambda:invokefunctionurl', 'lambda:*', '*']);
+
+function toArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+function readConditionValues(condition, key) {
+  const values = [];
+  Object.values(condition || {}).forEach((operatorBlock) => {
+    Object.entries(operatorBlock || {}).forEach(([conditionKey, conditionValue]) => {
+      if (conditionKey.toLowerCase() === key) {
+        values.push(...toArray(conditionValue));
       }
+    });
+  });
+  return values.filter((value) => typeof value === 'string' && value);
+}
+
+function describeServicePrincipal(principal, scope = {}) {
+  const serviceKey = principal.replace(/\.amazonaws\.com(\.cn)?$/i, '');
+  return {
+    id: `service:${principal}`,
+    label: principal,
+    service: normalizeService(serviceKey),
+    region: scope.region,
+    accountId: scope.accountId
+  };
+}
+
+// Source ARNs in permissions may carry wildcards; API Gateway ones are trimmed to the API itself,
+// anything else still containing a wildcard cannot name a single caller.
+function describePermissionSourceArn(sourceArn, scope) {
+  const parsed = parseArn(sourceArn);
+  if (!parsed) {
+    return null;
+  }
+  if (parsed.service === 'execute-api') {
+    const apiId = parsed.resource.split('/')[0];
+    if (!apiId || apiId.includes('*')) {
+      return null;
+    }
+    const apiArn = `arn:${parsed.partition}:execute-api:${parsed.region}:${parsed.accountId}:${apiId}`;
+    return { ...describeArn(apiArn, scope), label: apiId };
+  }
+  if (sourceArn.includes('*') || sourceArn.includes('?')) {
+    return null;
+  }
+  return describeArn(sourceArn, scope);
+}
+
+function describeAwsPrincipal(principal, scope) {
+  if (/^[0-9]{12}$/.test(principal)) {
+    return describeArn(`arn:aws:iam::${principal}:root`, scope);
+  }
+  return parseArn(principal) ? describeArn(principal, scope) : null;
+}
+
+const INTERNET_NODE = { id: 'internet', label: 'Internet', service: 'Internet' };
+
+// Anyone may invoke the function: the flag lets the UI make exposed functions stand out.
+function markFunctionPublic(builder, functionNodeId, reason) {
+  builder.addNode(INTERNET_NODE);
+  builder.addNode({ id: functionNodeId, attributes: { public: true, publicReason: reason } });
+}
+
+function describeCors(cors) {
+  if (!cors) {
+    return undefined;
+  }
+  const parts = [];
+  if (cors.AllowOrigins?.length) {
+    parts.push(`origins: ${cors.AllowOrigins.join(', ')}`);
+  }
+  if (cors.AllowMethods?.length) {
+    parts.push(`methods: ${cors.AllowMethods.join(', ')}`);
+  }
+  if (cors.AllowHeaders?.length) {
+    parts.push(`headers: ${cors.AllowHeaders.join(', ')}`);
+  }
+  if (cors.AllowCredentials) {
+    parts.push('credentials allowed');
+  }
+  return parts.length ? parts.join('; ') : undefined;
+}
+
+function addFunctionUrlRelations(builder, functionNodeId, functionUrls = []) {
+  functionUrls.forEach(({ qualifier, config }) => {
+    const targetId = resolveTargetNodeId(builder, qualifyFunctionArn(functionNodeId, qualifier));
+    builder.addNode(INTERNET_NODE);
+    builder.addEdge({
+      source: INTERNET_NODE.id,
+      target: targetId,
+      type: 'functionUrl',
+      metadata: {
+        url: config.FunctionUrl,
+        authType: config.AuthType,
+        invokeMode: config.InvokeMode,
+        cors: describeCors(config.Cors),
+        qualifier: qualifier || undefined
+      },
+      ...fromApi('lambda:GetFunctionUrlConfig')
+    });
+    if (config.AuthType === 'NONE') {
+      markFunctionPublic(builder, targetId, `function URL ${config.FunctionUrl} has no authentication`);
     }
-    builder.addEdge({ source: node.id, target: targetId, type: 'eventSource' });
   });
 }
 
-function addDeadLetterRelation(builder, functionNodeId, deadLetterConfig) {
+function isPublicPrincipal(principal) {
+  return principal === '*' || toArray(principal?.AWS).includes('*');
+}
+
+function addPermissionRelations(builder, functionNodeId, policies = [], scope) {
+  policies.forEach(({ qualifier, document }) => {
+    const targetId = resolveTargetNodeId(builder, qualifyFunctionArn(functionNodeId, qualifier));
+    toArray(document?.Statement).forEach((statement) => {
+      if (statement?.Effect !== 'Allow') {
+        return;
+      }
+      const actions = toArray(statement.Action).map((action) => String(action).toLowerCase());
+      if (!actions.some((action) => INVOKE_ACTIONS.has(action))) {
+        return;
+      }
+
+      const principal = statement.Principal;
+      const servicePrincipals = toArray(principal?.Service);
+      const awsPrincipals = toArray(principal?.AWS).filter((value) => value !== '*');
+      const sourceArns = readConditionValues(statement.Condition, 'aws:sourcearn');
+      const sourceAccounts = readConditionValues(statement.Condition, 'aws:sourceaccount');
+      const restrictedToOrganization = readConditionValues(statement.Condition, 'aws:principalorgid').length > 0;
+
+      // A "*" principal without a source or organization condition lets anyone invoke the function.
+      if (isPublicPrincipal(principal) && !sourceArns.length && !sourceAccounts.length && !restrictedToOrganization) {
+        markFunctionPublic(builder, targetId, `resource policy statement ${statement.Sid || '(no Sid)'} allows any principal`);
+        // URL-only grants are already drawn as the function URL edge.
+        if (actions.every((action) => action === 'lambda:invokefunctionurl')) {
+          return;
+        }
+        builder.addEdge({
+          source: INTERNET_NODE.id,
+          target: targetId,
+          type: 'permission',
+          metadata: {
+            statementId: statement.Sid,
+            principal: '*',
+            action: toArray(statement.Action).join(', '),
+            qualifier: qualifier || undefined
+          },
+          ...fromApi('lambda:GetPolicy')
+        });
+        return;
+      }
+
+      const metadata = {
+        statementId: statement.Sid,
+        principal: servicePrincipals[0] || awsPrincipals[0],
+        action: toArray(statement.Action).join(', '),
+        sourceAccount: sourceAccounts.length ? sourceAccounts.join(', ') : undefined,
+        qualifier: qualifier || undefined
+      };
+
+      const sources = [];
+      sourceArns.forEach((sourceArn) => {
+        const node = describePermissionSourceArn(sourceArn, scope);
+        if (node) {
+          sources.push({ node, metadata: { ...metadata, sourceArn } });
+        }
+      });
+      if (!sources.length) {
+        servicePrincipals.forEach((servicePrincipal) => {
+          sources.push({ node: describeServicePrincipal(servicePrincipal, scope), metadata: { ...metadata, principal: servicePrincipal } });
+        });
+        awsPrincipals.forEach((awsPrincipal) => {
+          const node = describeAwsPrincipal(awsPrincipal, scope);
+          if (node) {
+            sources.push({ node, metadata: { ...metadata, principal: awsPrincipal } });
+          }
+        });
+      }
+
+      sources.forEach(({ node, metadata: edgeMetadata }) => {
+        builder.addNode(node);
+        builder.addEdge({ source: node.id, target: targetId, type: 'permission', metadata: edgeMetadata, ...fromApi('lambda:GetPolicy') });
+      });
+    });
+  });
+}
+
+function addDeadLetterRelation(builder, functionNodeId, deadLetterConfig, scope) {
   if (!deadLetterConfig?.TargetArn) {
     return;
   }
-  const node = describeArn(deadLetterConfig.TargetArn);
+  const node = describeArn(deadLetterConfig.TargetArn, scope);
   builder.addNode(node);
-  builder.addEdge({ source: functionNodeId, target: node.id, type: 'dlq' });
+  builder.addEdge({ source: functionNodeId, target: node.id, type: 'dlq', ...fromApi('lambda:ListFunctions') });
 }
 
-function addRoleRelation(builder, functionNodeId, roleArn) {
+function addRoleRelation(builder, functionNodeId, roleArn, scope) {
   if (!roleArn) {
     return;
   }
-  const roleNode = describeArn(roleArn);
+  const roleNode = describeArn(roleArn, scope);
   roleNode.service = 'IAM';
   builder.addNode(roleNode);
-  builder.addEdge({ source: functionNodeId, target: roleNode.id, type: 'usesRole' });
+  builder.addEdge({ source: functionNodeId, target: roleNode.id, type: 'usesRole', ...fromApi('lambda:ListFunctions') });
 }
 
-function addLayerRelations(builder, functionNodeId, layers = []) {
+function addLayerRelations(builder, functionNodeId, layers = [], scope) {
   layers.forEach((layer) => {
     if (!layer.Arn) {
       return;
     }
-    const node = describeArn(layer.Arn);
+    const node = describeArn(layer.Arn, scope);
     builder.addNode({ ...node, service: 'Layer' });
-    builder.addEdge({ source: functionNodeId, target: node.id, type: 'layer' });
+    builder.addEdge({ source: functionNodeId, target: node.id, type: 'layer', ...fromApi('lambda:ListFunctions') });
   });
 }
 
-function addVpcRelations(builder, functionNodeId, vpcConfig) {
+function addVpcRelations(builder, functionNodeId, vpcConfig, scope) {
   if (!vpcConfig) {
     return;
   }
@@ -521,64 +1129,75 @@ function addVpcRelations(builder, functionNodeId, vpcConfig) {
     if (!subnetId) {
       return;
     }
-    const node = createVpcNode(subnetId, 'subnet');
+    const node = createVpcNode(subnetId, 'subnet', scope);
     builder.addNode(node);
-    builder.addEdge({ source: functionNodeId, target: node.id, type: 'subnet' });
+    builder.addEdge({ source: functionNodeId, target: node.id, type: 'subnet', ...fromApi('lambda:ListFunctions') });
   });
 
   (vpcConfig.SecurityGroupIds || []).forEach((sgId) => {
     if (!sgId) {
       return;
     }
-    const node = createVpcNode(sgId, 'sg');
+    const node = createVpcNode(sgId, 'sg', scope);
     builder.addNode(node);
-    builder.addEdge({ source: functionNodeId, target: node.id, type: 'securityGroup' });
+    builder.addEdge({ source: functionNodeId, target: node.id, type: 'securityGroup', ...fromApi('lambda:ListFunctions') });
   });
 }
 
-function addEnvironmentRelations(builder, functionNodeId, environment) {
+function addEnvironmentRelations(builder, functionNodeId, environment, scope) {
   if (!environment?.Variables) {
     return;
   }
 
   const arns = extractArnsFromEnv(environment.Variables);
   arns.forEach((arn) => {
-    const node = describeArn(arn);
+    const node = describeArn(arn, scope);
     builder.addNode(node);
-    builder.addEdge({ source: functionNodeId, target: node.id, type: 'configRef' });
+    builder.addEdge({ source: functionNodeId, target: node.id, type: 'configRef', ...fromApi('lambda:ListFunctions', 'inferred') });
   });
 }
 
-function addFilesystemRelations(builder, functionNodeId, fileSystemConfigs = []) {
+function addFilesystemRelations(builder, functionNodeId, fileSystemConfigs = [], scope) {
   fileSystemConfigs.forEach((fsConfig) => {
     if (!fsConfig.Arn) {
       return;
     }
-    const node = describeArn(fsConfig.Arn);
+    const node = describeArn(fsConfig.Arn, scope);
     builder.addNode({ ...node, service: 'EFS' });
-    builder.addEdge({ source: functionNodeId, target: node.id, type: 'efs' });
+    builder.addEdge({ source: functionNodeId, target: node.id, type: 'efs', ...fromApi('lambda:ListFunctions') });
   });
 }
 
-function addKmsRelation(builder, functionNodeId, kmsArn) {
+function addKmsRelation(builder, functionNodeId, kmsArn, scope) {
   if (!kmsArn) {
     return;
   }
-  const node = describeArn(kmsArn);
+  const node = describeArn(kmsArn, scope);
   builder.addNode({ ...node, service: 'KMS' });
-  builder.addEdge({ source: functionNodeId, target: node.id, type: 'encryption' });
+  builder.addEdge({ source: functionNodeId, target: node.id, type: 'encryption', ...fromApi('lambda:ListFunctions') });
 }
 
-function addDestinationRelations(builder, functionNodeId, functionResponseTypes = []) {
-  functionResponseTypes.forEach((config) => {
-    if (!config.DestinationConfig) {
-      return;
-    }
-    const destinations = Object.values(config.DestinationConfig).filter(Boolean);
-    destinations.forEach((destinationArn) => {
-      const node = describeArn(destinationArn);
+function addDestinationRelations(builder, functionNodeId, invokeConfigs = [], scope) {
+  invokeConfigs.forEach(({ qualifier, config }) => {
+    const sourceId = resolveTargetNodeId(builder, qualifyFunctionArn(functionNodeId, qualifier));
+    DESTINATION_EDGE_TYPES.forEach(([key, type]) => {
+      const destination = config.DestinationConfig?.[key]?.Destination;
+      if (!destination) {
+        return;
+      }
+      const node = describeArn(resolveTargetNodeId(builder, destination), scope);
       builder.addNode(node);
-      builder.addEdge({ source: functionNodeId, target: node.id, type: 'destination' });
+      builder.addEdge({
+        source: sourceId,
+        target: node.id,
+        type,
+        metadata: {
+          maximumRetryAttempts: config.MaximumRetryAttempts,
+          maximumEventAgeInSeconds: config.MaximumEventAgeInSeconds,
+          qualifier: qualifier || undefined
+        },
+        ...fromApi(qualifier ? 'lambda:ListFunctionEventInvokeConfigs' : 'lambda:GetFunctionEventInvokeConfig')
+      });
     });
   });
 }
@@ -595,23 +1214,108 @@ function normalizeFunctionArn(arn) {
   return trimmed;
 }
 
-async function downloadLambdaCodeArchive(lambdaClient, functionIdentifier) {
+// Targets and destinations may name a function alias or version; the graph has one node per function.
+function normalizeTargetArn(arn) {
+  return parseArn(arn)?.service === 'lambda' ? normalizeFunctionArn(arn) : arn;
+}
+
+// Alias and version nodes only exist in alias mode, so qualified ARNs otherwise fold into the function node.
+function resolveTargetNodeId(builder, arn) {
+  return builder.nodeIndex.has(arn) ? arn : normalizeTargetArn(arn);
+}
+
+function qualifyFunctionArn(functionNodeId, qualifier) {
+  return qualifier ? `${functionNodeId}:${qualifier}` : functionNodeId;
+}
+
+function formatWeight(weight) {
+  return `${Math.round(Number(weight) * 10000) / 100}%`;
+}
+
+function addVersionNode(builder, fn, functionNodeId, version, scope) {
+  if (!version || version === '$LATEST') {
+    return functionNodeId;
+  }
+  const versionArn = `${functionNodeId}:${version}`;
+  builder.addNode({
+    id: versionArn,
+    label: `${fn.FunctionName}:${version}`,
+    service: 'Lambda',
+    region: scope.region,
+    accountId: scope.accountId,
+    attributes: { kind: 'version', version }
+  });
+  builder.addEdge({ source: versionArn, target: functionNodeId, type: 'versionOf', ...fromApi('lambda:ListAliases') });
+  return versionArn;
+}
+
+// Each alias routes its primary version whatever AdditionalVersionWeights leaves over.
+function addAliasRelations(builder, fn, functionNodeId, aliases = [], scope) {
+  aliases.forEach((alias) => {
+    if (!alias.Name) {
+      return;
+    }
+    const aliasArn = alias.AliasArn || qualifyFunctionArn(functionNodeId, alias.Name);
+    builder.addNode({
+      id: aliasArn,
+      label: `${fn.FunctionName}:${alias.Name}`,
+      service: 'Lambda',
+      region: scope.region,
+      accountId: scope.accountId,
+      attributes: { kind: 'alias', functionVersion: alias.FunctionVersion, description: alias.Description }
+    });
+
+    const additionalWeights = Object.entries(alias.RoutingConfig?.AdditionalVersionWeights || {});
+    const primaryWeight = 1 - additionalWeights.reduce((sum, [, weight]) => sum + Number(weight || 0), 0);
+    [[alias.FunctionVersion, primaryWeight], ...additionalWeights].forEach(([version, weight], index) => {
+      const versionNodeId = addVersionNode(builder, fn, functionNodeId, version, scope);
+      builder.addEdge({
+        source: aliasArn,
+        target: versionNodeId,
+        type: 'routesTo',
+        metadata: {
+          weight: formatWeight(weight),
+          version,
+          primary: index === 0 ? true : undefined
+        },
+        ...fromApi('lambda:ListAliases')
+      });
+    });
+  });
+}
+
+async function downloadLambdaCodeArchive(lambdaClient, functionIdentifier, fixtures) {
   const response = await lambdaClient.send(new GetFunctionCommand({ FunctionName: functionIdentifier }));
   const location = response?.Code?.Location;
   if (!location) {
     return null;
   }
-  const archiveBuffer = await downloadBufferFromUrl(location);
+  // Presigned code URLs expire, so archives are stored alongside the recorded responses.
+  const archiveKey = `${functionIdentifier}@${response?.Configuration?.CodeSha256 || ''}`;
+  const archiveBuffer = fixtures?.mode === 'replay'
+    ? await fixtures.loadArchive(archiveKey)
+    : await downloadBufferFromUrl(location);
   if (!archiveBuffer) {
     return null;
   }
   if (archiveBuffer.length > MAX_ARCHIVE_SIZE_BYTES) {
     throw new Error(`Code archive is too large (${Math.round(archiveBuffer.length / 1024)} KB)`);
   }
+  if (fixtures?.mode === 'record') {
+    await fixtures.saveArchive(archiveKey, archiveBuffer);
+  }
   return archiveBuffer;
 }
 
-async function downloadBufferFromUrl(url) {
+function describeSizeLimit(bytes) {
+  return `${Math.round(bytes / (1024 * 1024))} MB`;
+}
+
+// Downloads are capped while streaming: a Content-Length over the cap aborts before reading,
+// and the running byte count aborts as soon as the body goes over it.
+async function downloadBufferFromUrl(url, maxBytes = MAX_ARCHIVE_SIZE_BYTES) {
+  const tooLargeMessage = `Code archive exceeds the ${describeSizeLimit(maxBytes)} limit`;
+
   if (typeof fetch === 'function') {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 20000);
@@ -620,8 +1324,36 @@ async function downloadBufferFromUrl(url) {
       if (!response.ok) {
         throw new Error(`Download failed with status ${response.status}`);
       }
-      const arrayBuffer = await response.arrayBuffer();
-      return Buffer.from(arrayBuffer);
+      const declaredLength = Number.parseInt(response.headers?.get?.('content-length') ?? '', 10);
+      if (Number.isFinite(declaredLength) && declaredLength > maxBytes) {
+        controller.abort();
+        throw new Error(tooLargeMessage);
+      }
+      if (!response.body?.getReader) {
+        const arrayBuffer = await response.arrayBuffer();
+        if (arrayBuffer.byteLength > maxBytes) {
+          throw new Error(tooLargeMessage);
+        }
+        return Buffer.from(arrayBuffer);
+      }
+
+      const reader = response.body.getReader();
+      const chunks = [];
+      let received = 0;
+      for (;;) {
+        // eslint-disable-next-line no-await-in-loop
+        const { done, value } = await reader.read();
+        if (done) {
+          break;
+        }
+        received += value.length;
+        if (received > maxBytes) {
+          controller.abort();
+          throw new Error(tooLargeMessage);
+        }
+        chunks.push(Buffer.from(value));
+      }
+      return Buffer.concat(chunks, received);
     } catch (error) {
       throw new Error(`Download failed: ${error?.message || error}`);
     } finally {
@@ -641,8 +1373,21 @@ async function downloadBufferFromUrl(url) {
         res.resume();
         return;
       }
+      const declaredLength = Number.parseInt(res.headers['content-length'] ?? '', 10);
+      if (Number.isFinite(declaredLength) && declaredLength > maxBytes) {
+        request.destroy();
+        reject(new Error(`Download failed: ${tooLargeMessage}`));
+        return;
+      }
       const chunks = [];
+      let received = 0;
       res.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > maxBytes) {
+          request.destroy();
+          reject(new Error(`Download failed: ${tooLargeMessage}`));
+          return;
+        }
         chunks.push(chunk);
       });
       res.on('end', () => {
@@ -669,96 +1414,183 @@ function containsBinaryData(buffer, sampleSize = 1024) {
   return false;
 }
 
-function extractTextEntriesFromArchive(buffer) {
-  const zip = new AdmZip(buffer);
-  const entries = zip.getEntries();
+function openZipBuffer(buffer) {
+  return new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true, validateEntrySizes: true }, (error, zipFile) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve(zipFile);
+    });
+  });
+}
+
+// Inflates one entry as a stream and gives up (resolving null) once it passes `limit` bytes or
+// inflates faster than MAX_COMPRESSION_RATIO, so nothing larger than the limit is ever buffered.
+function readZipEntryWithinLimit(zipFile, entry, limit) {
+  return new Promise((resolve, reject) => {
+    zipFile.openReadStream(entry, (error, stream) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      const chunks = [];
+      let received = 0;
+      let settled = false;
+      stream.on('data', (chunk) => {
+        received += chunk.length;
+        const ratio = entry.compressedSize > 0 ? received / entry.compressedSize : 0;
+        if (received > limit || ratio > MAX_COMPRESSION_RATIO) {
+          settled = true;
+          stream.destroy();
+          resolve(null);
+          return;
+        }
+        chunks.push(chunk);
+      });
+      stream.on('end', () => {
+        if (!settled) {
+          settled = true;
+          resolve(Buffer.concat(chunks, received));
+        }
+      });
+      stream.on('error', (streamError) => {
+        if (!settled) {
+          settled = true;
+          reject(streamError);
+        }
+      });
+    });
+  });
+}
+
+async function extractTextEntriesFromArchive(buffer) {
+  const zipFile = await openZipBuffer(buffer);
   const results = [];
   let totalBytes = 0;
 
-  entries.forEach((entry) => {
-    if (entry.isDirectory) {
-      return;
+  function isCandidate(entry) {
+    if (/\/$/.test(entry.fileName) || entry.fileName.startsWith('__MACOSX/')) {
+      return false;
     }
-    if (entry.entryName.startsWith('__MACOSX/')) {
-      return;
+    const ext = entry.fileName.split('.').pop()?.toLowerCase() ?? '';
+    if (!TEXT_FILE_EXTENSIONS.has(ext) && !PYTHON_RECORD_PATTERN.test(entry.fileName)) {
+      return false;
     }
-    const ext = entry.entryName.split('.').pop()?.toLowerCase() ?? '';
-    if (!TEXT_FILE_EXTENSIONS.has(ext)) {
-      return;
+    // Declared sizes are checked up front; the streaming reader enforces the real ones.
+    if (entry.uncompressedSize > MAX_ENTRY_SIZE_BYTES) {
+      return false;
     }
+    return !(entry.compressedSize > 0 && entry.uncompressedSize / entry.compressedSize > MAX_COMPRESSION_RATIO);
+  }
 
-    const data = entry.getData();
-    if (!data || data.length === 0) {
-      return;
-    }
+  try {
+    await new Promise((resolve, reject) => {
+      zipFile.on('entry', (entry) => {
+        if (!isCandidate(entry)) {
+          zipFile.readEntry();
+          return;
+        }
+        const remaining = MAX_TOTAL_TEXT_BYTES - totalBytes;
+        readZipEntryWithinLimit(zipFile, entry, Math.min(MAX_ENTRY_SIZE_BYTES, remaining))
+          .then((data) => {
+            if (data && data.length > 0 && !containsBinaryData(data)) {
+              totalBytes += data.length;
+              results.push({ path: entry.fileName, content: data.toString('utf8') });
+            }
+            if (totalBytes >= MAX_TOTAL_TEXT_BYTES) {
+              resolve();
+              return;
+            }
+            zipFile.readEntry();
+          })
+          .catch(reject);
+      });
+      zipFile.on('end', resolve);
+      zipFile.on('error', reject);
+      zipFile.readEntry();
+    });
+  } finally {
+    zipFile.close();
+  }
 
-    if (data.length > MAX_ENTRY_SIZE_BYTES || containsBinaryData(data)) {
-      return;
-    }
+  return results;
+}
 
-    totalBytes += data.length;
-    if (totalBytes > MAX_TOTAL_TEXT_BYTES) {
-      return;
-    }
-
-    try {
-      const content = data.toString('utf8');
-      results.push({ path: entry.entryName, content });
-    } catch (error) {
-      // Ignore files that cannot be decoded as UTF-8
-    }
-  });
+const MAX_EVIDENCE_LOCATIONS = 5;
 
-  return results;
+function lineNumberAt(content, index) {
+  let line = 1;
+  for (let position = content.indexOf('\n'); position !== -1 && position < index; position = content.indexOf('\n', position + 1)) {
+    line += 1;
+  }
+  return line;
 }
 
-function findLambdaInvocationTargets(entries) {
-  const targets = new Map();
-
-  entries.forEach(({ content }) => {
-    if (typeof content !== 'string') {
-      return;
+// Every match keeps the file and line it was found at, so the edge can point back to its evidence.
+// `locate` is only called while the match still has room for another location; a line already
+// recorded by another scan of the same file is not repeated.
+function recordMatch(matches, key, create, locate) {
+  if (!matches.has(key)) {
+    matches.set(key, { ...create(), locations: [] });
+  }
+  const { locations } = matches.get(key);
+  if (locations.length < MAX_EVIDENCE_LOCATIONS) {
+    const location = locate();
+    if (!locations.some((existing) => existing.path === location.path && existing.line === location.line)) {
+      locations.push(location);
     }
+  }
+}
 
-    const arnRegex = /arn:aws[a-zA-Z-]*:lambda:[^\s'"`]+/g;
-    let arnMatch;
-    while ((arnMatch = arnRegex.exec(content)) !== null) {
-      const arn = arnMatch[0];
-      const key = `arn|${arn}`;
-      if (!targets.has(key)) {
-        targets.set(key, { type: 'arn', value: arn });
-      }
-    }
+function textLocation(filePath, content, index) {
+  return () => ({ path: filePath || 'unknown', line: lineNumberAt(content, index) });
+}
 
-    const functionNameRegex = /FunctionName\s*[:=]\s*(["'])(.*?)\1|FunctionName\s*[:=]\s*`([\s\S]*?)`/gi;
-    let fnMatch;
-    while ((fnMatch = functionNameRegex.exec(content)) !== null) {
-      const name = removeInterpolation(fnMatch[0].slice('FunctionName: `'.length, -1));
-      const key = `name|${name}`;
-      if (!targets.has(key)) {
-        targets.set(key, { type: 'name', value: name });
-      }
-    }
+// Analyzed sources only need the ARN scan here: FunctionName arguments come from the analyzer.
+function scanLambdaInvocationTargets(targets, { path: filePath, content }, { literalsOnly = false } = {}) {
+  const arnRegex = /arn:aws[a-zA-Z-]*:lambda:[^\s'"`]+/g;
+  let arnMatch;
+  while ((arnMatch = arnRegex.exec(content)) !== null) {
+    const arn = arnMatch[0];
+    recordMatch(targets, `arn|${arn}`, () => ({ type: 'arn', value: arn }), textLocation(filePath, content, arnMatch.index));
+  }
+  if (literalsOnly) {
+    return;
+  }
 
-    const invokeRegex = /\.invoke\s*\(\s*['"`]([^'"`]+)['"`]/gi;
-    let invokeMatch;
-    while ((invokeMatch = invokeRegex.exec(content)) !== null) {
-      const name = removeInterpolation(invokeMatch[1]);
-      const key = `name|${name}`;
-      if (!targets.has(key)) {
-        targets.set(key, { type: 'name', value: name });
-      }
-    }
-  });
+  const functionNameRegex = /FunctionName\s*[:=]\s*(["'])(.*?)\1|FunctionName\s*[:=]\s*`([\s\S]*?)`/gi;
+  let fnMatch;
+  while ((fnMatch = functionNameRegex.exec(content)) !== null) {
+    const name = removeInterpolation(fnMatch[2] ?? fnMatch[3]);
+    recordMatch(targets, `name|${name}`, () => ({ type: 'name', value: name }), textLocation(filePath, content, fnMatch.index));
+  }
 
-  return Array.from(targets.values());
+  const invokeRegex = /\.invoke\s*\(\s*['"`]([^'"`]+)['"`]/gi;
+  let invokeMatch;
+  while ((invokeMatch = invokeRegex.exec(content)) !== null) {
+    const name = removeInterpolation(invokeMatch[1]);
+    recordMatch(targets, `name|${name}`, () => ({ type: 'name', value: name }), textLocation(filePath, content, invokeMatch.index));
+  }
 }
 
 function removeInterpolation(str) {
   return str.replace(/\$\{\w+\}/g, '');
 }
 
-function resolveLambdaTarget(target, lambdaByArn, lambdaByName) {
+function describeKnownLambda(known, scope) {
+  const nodeId = known.FunctionArn || known.FunctionName;
+  const parsed = parseArn(nodeId);
+  return {
+    nodeId,
+    label: known.FunctionName || nodeId,
+    region: parsed?.region || scope.region,
+    accountId: parsed?.accountId || scope.accountId
+  };
+}
+
+function resolveLambdaTarget(target, lambdaByArn, lambdaByName, scope = {}) {
   if (!target || typeof target.value !== 'string') {
     return null;
   }
@@ -767,13 +1599,15 @@ function resolveLambdaTarget(target, lambdaByArn, lambdaByName) {
     const normalized = normalizeFunctionArn(target.value);
     const known = lambdaByArn.get(target.value) || lambdaByArn.get(normalized ?? target.value);
     if (known) {
-      const nodeId = known.FunctionArn || known.FunctionName;
-      return { nodeId, label: known.FunctionName || nodeId };
+      return describeKnownLambda(known, scope);
     }
+    const parsed = parseArn(normalized ?? target.value);
     const label = normalized ? normalized.split(':').pop() : target.value;
     return {
       nodeId: normalized ?? target.value,
-      label: label || target.value
+      label: label || target.value,
+      region: parsed?.region || scope.region,
+      accountId: parsed?.accountId || scope.accountId
     };
   }
 
@@ -782,16 +1616,34 @@ function resolveLambdaTarget(target, lambdaByArn, lambdaByName) {
     return null;
   }
 
+  // Partial ARNs ("123456789012:function:name") name the account explicitly and resolve in the caller's region.
+  const partialMatch = /^([0-9]{12}):function:([A-Za-z0-9_-]+)/.exec(rawName);
+  if (partialMatch) {
+    const [, accountId, functionName] = partialMatch;
+    const functionArn = `arn:aws:lambda:${scope.region}:${accountId}:function:${functionName}`;
+    const known = lambdaByArn.get(functionArn);
+    if (known) {
+      return describeKnownLambda(known, scope);
+    }
+    return {
+      nodeId: functionArn,
+      label: functionName,
+      region: scope.region,
+      accountId
+    };
+  }
+
   const baseName = rawName.split(':')[0];
   const known = lambdaByName.get(rawName) || lambdaByName.get(baseName);
   if (known) {
-    const nodeId = known.FunctionArn || known.FunctionName;
-    return { nodeId, label: known.FunctionName || nodeId };
+    return describeKnownLambda(known, scope);
   }
 
   return {
     nodeId: `lambda://${baseName}`,
-    label: baseName
+    label: baseName,
+    region: scope.region,
+    accountId: scope.accountId
   };
 }
 
@@ -804,60 +1656,111 @@ function sqsUrlToArn(url) {
   return `arn:aws:sqs:${region}:${accountId}:${queueName}`;
 }
 
-function findServiceUsageHints(entries) {
-  const hints = new Map();
+function recordServiceHint(hints, service, resource, locate) {
+  const key = resource ? [service, resource.type, resource.value].join('|') : service;
+  recordMatch(hints, key, () => ({ service, resource }), locate);
+}
+
+// Analyzed sources keep only the patterns that capture a concrete resource; client usage comes from the analyzer.
+function scanServiceUsageHints(hints, { path: filePath, content }, { literalsOnly = false } = {}) {
+  Object.entries(SERVICE_HINT_PATTERNS).forEach(([service, config]) => {
+    config.regexes.forEach(({ pattern, resource }) => {
+      if (literalsOnly && !resource) {
+        return;
+      }
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(content)) !== null) {
+        const matchedValue = match[1] ?? match[0];
+        recordServiceHint(hints, service, resource ? { type: resource, value: matchedValue } : null, textLocation(filePath, content, match.index));
+      }
+    });
+  });
+}
+
+const SDK_PARAMETER_RESOURCES = {
+  QueueUrl: { service: 'SQS', type: 'sqsQueueUrl' },
+  TableName: { service: 'DynamoDB', type: 'dynamodbTable' },
+  Bucket: { service: 'S3', type: 's3Bucket' },
+  TopicArn: { service: 'SNS', type: 'arn' },
+  StateMachineArn: { service: 'StepFunctions', type: 'arn' }
+};
 
-  entries.forEach(({ content }) => {
-    if (typeof content !== 'string' || content.length === 0) {
+function addSdkFindings(targets, hints, { calls, services }) {
+  services.forEach(({ service, location }) => {
+    recordServiceHint(hints, normalizeSdkService(service), null, () => location);
+  });
+  calls.forEach(({ parameter, value, location }) => {
+    if (parameter === 'FunctionName') {
+      if (value) {
+        const type = value.startsWith('arn:') ? 'arn' : 'name';
+        recordMatch(targets, `${type}|${value}`, () => ({ type, value }), () => location);
+      }
       return;
     }
+    const { service, type } = SDK_PARAMETER_RESOURCES[parameter];
+    const resource = value && (type !== 'arn' || value.startsWith('arn:')) ? { type, value } : null;
+    recordServiceHint(hints, service, resource, () => location);
+  });
+}
 
-    Object.entries(SERVICE_HINT_PATTERNS).forEach(([service, config]) => {
-      config.regexes.forEach(({ pattern, resource }) => {
-        pattern.lastIndex = 0;
-        let match;
-        while ((match = pattern.exec(content)) !== null) {
-          const matchedValue = match[1] ?? match[0];
-          let resourceInfo = null;
-          if (resource === 'arn') {
-            resourceInfo = { type: 'arn', value: matchedValue };
-          } else if (resource === 'sqsQueueUrl') {
-            resourceInfo = { type: 'sqsQueueUrl', value: matchedValue };
-          }
+// JavaScript, TypeScript and Python are analyzed so SDK call arguments resolve through module constants
+// and the function's environment variables; other files, and sources the analyzers reject, fall back to the regex scan.
+// Callers pass only the function's own sources: the SDK and other dependencies mention every service they wrap,
+// which is not what the function itself calls, so they must not feed edges or the least-privilege report.
+function analyzeCodeEntries(entries, environment = {}) {
+  const targets = new Map();
+  const hints = new Map();
 
-          const keyParts = [service];
-          if (resourceInfo) {
-            keyParts.push(resourceInfo.type, resourceInfo.value);
-          }
-          const key = keyParts.join('|');
-          if (!hints.has(key)) {
-            hints.set(key, { service, resource: resourceInfo });
-          }
-        }
-      });
-    });
+  entries.forEach((entry) => {
+    if (typeof entry?.content !== 'string' || entry.content.length === 0) {
+      return;
+    }
+    let analysis = null;
+    if (isJavaScriptFile(entry.path)) {
+      analysis = analyzeJavaScriptSource(entry.content, entry.path, { environment });
+    } else if (isPythonFile(entry.path)) {
+      analysis = analyzePythonSource(entry.content, entry.path, { environment });
+    }
+    if (analysis) {
+      addSdkFindings(targets, hints, analysis);
+    }
+    scanLambdaInvocationTargets(targets, entry, { literalsOnly: Boolean(analysis) });
+    scanServiceUsageHints(hints, entry, { literalsOnly: Boolean(analysis) });
   });
 
-  return Array.from(hints.values());
+  return { targets: Array.from(targets.values()), hints: Array.from(hints.values()) };
 }
 
-function resolveServiceUsageHint(hint) {
+function resolveServiceUsageHint(hint, scope = {}) {
   if (!hint || !hint.service) {
     return null;
   }
 
   if (hint.resource?.type === 'arn') {
-    const node = describeArn(hint.resource.value);
+    const node = describeArn(hint.resource.value, scope);
     return {
       node,
       type: 'resource'
     };
   }
 
+  if (hint.resource?.type === 'dynamodbTable' || hint.resource?.type === 's3Bucket') {
+    const { type, value } = hint.resource;
+    let arn = value;
+    if (!value.startsWith('arn:')) {
+      arn = type === 's3Bucket' ? `arn:aws:s3:::${value}` : `arn:aws:dynamodb:${scope.region}:${scope.accountId}:table/${value}`;
+    }
+    return {
+      node: describeArn(arn, scope),
+      type: 'resource'
+    };
+  }
+
   if (hint.resource?.type === 'sqsQueueUrl') {
     const arn = sqsUrlToArn(hint.resource.value);
     if (arn) {
-      const node = describeArn(arn);
+      const node = describeArn(arn, scope);
       return {
         node,
         type: 'resource'
@@ -870,7 +1773,9 @@ function resolveServiceUsageHint(hint) {
       node: {
         id: nodeId,
         label: queueName,
-        service: 'SQS'
+        service: 'SQS',
+        region: scope.region,
+        accountId: scope.accountId
       },
       type: 'resource'
     };
@@ -879,89 +1784,148 @@ function resolveServiceUsageHint(hint) {
   return null;
 }
 
-async function discoverLambdaInvocationRelations(lambdaClient, builder, lambdaFunctions, warnings) {
-  if (!Array.isArray(lambdaFunctions) || lambdaFunctions.length === 0) {
-    return { attempted: 0, scanned: 0, failures: 0, addedEdges: 0 };
+async function inspectLambdaCodePackage(fn, scan, codeCache) {
+  const functionIdentifier = fn?.FunctionArn || fn?.FunctionName;
+  if (!functionIdentifier) {
+    return { status: 'skipped' };
   }
 
-  const lambdaByArn = new Map();
-  const lambdaByName = new Map();
+  // Unchanged code (same CodeSha256) skips both the download and the archive extraction.
+  const cachedEntries = codeCache ? await codeCache.get(fn.CodeSha256) : null;
+  if (cachedEntries) {
+    return { status: 'scanned', entries: cachedEntries, fromCache: true };
+  }
 
-  lambdaFunctions.forEach((fn) => {
-    if (!fn) {
-      return;
-    }
-    if (fn.FunctionArn) {
-      lambdaByArn.set(fn.FunctionArn, fn);
-      const normalized = normalizeFunctionArn(fn.FunctionArn);
-      if (normalized) {
-        lambdaByArn.set(normalized, fn);
-      }
+  let archiveBuffer;
+  try {
+    archiveBuffer = await downloadLambdaCodeArchive(scan.lambdaClient, functionIdentifier, scan.account.fixtures);
+    if (!archiveBuffer) {
+      return { status: 'skipped' };
     }
-    if (fn.FunctionName) {
-      lambdaByName.set(fn.FunctionName, fn);
+  } catch (error) {
+    return {
+      status: 'failed',
+      warning: `Failed to download code for ${fn.FunctionName || functionIdentifier}: ${error?.message || error}`
+    };
+  }
+
+  let entries;
+  try {
+    entries = await extractTextEntriesFromArchive(archiveBuffer);
+  } catch (error) {
+    return {
+      status: 'scannedWithError',
+      warning: `Failed to inspect archive for ${fn.FunctionName || functionIdentifier}: ${error?.message || error}`
+    };
+  }
+
+  if (codeCache && fn.CodeSha256) {
+    try {
+      await codeCache.set(fn.CodeSha256, entries);
+    } catch (error) {
+      return {
+        status: 'scanned',
+        entries,
+        warning: `Failed to cache code for ${fn.FunctionName || functionIdentifier}: ${error?.message || error}`
+      };
     }
+  }
+
+  return { status: 'scanned', entries };
+}
+
+async function discoverLambdaInvocationRelations(builder, scans, warnings, { concurrency, codeCache, codeIndex = [], reportProgress = () => {} } = {}) {
+  const lambdaFunctions = scans.flatMap((scan) => scan.functions);
+  if (lambdaFunctions.length === 0) {
+    return { attempted: 0, scanned: 0, failures: 0, addedEdges: 0, codeUsage: new Map() };
+  }
+
+  const lambdaByArn = new Map();
+  const lambdaNamesByScope = new Map();
+
+  scans.forEach((scan) => {
+    const lambdaByName = new Map();
+    scan.functions.forEach((fn) => {
+      if (!fn) {
+        return;
+      }
+      if (fn.FunctionArn) {
+        lambdaByArn.set(fn.FunctionArn, fn);
+        const normalized = normalizeFunctionArn(fn.FunctionArn);
+        if (normalized) {
+          lambdaByArn.set(normalized, fn);
+        }
+      }
+      if (fn.FunctionName) {
+        lambdaByName.set(fn.FunctionName, fn);
+      }
+    });
+    lambdaNamesByScope.set(`${scan.accountId}|${scan.region}`, lambdaByName);
   });
 
   let scanned = 0;
+  let cachedPackages = 0;
   let failures = 0;
   let addedInvocationEdges = 0;
   let addedServiceEdges = 0;
   const attempted = lambdaFunctions.length;
-
-  for (const fn of lambdaFunctions) {
-    if (!fn) {
-      // eslint-disable-next-line no-continue
-      continue;
+  // Services each scanned package refers to, with where; packages that could not be read have no entry.
+  const codeUsage = new Map();
+
+  // Downloads run in parallel; each package is folded into the graph in listing order as soon as it is
+  // ready, and its extracted text is released once it has been analyzed and indexed.
+  const work = scans.flatMap((scan) => scan.functions.filter(Boolean).map((fn) => ({ scan, fn })));
+  let inspectedCount = 0;
+  await consumeWithConcurrency(work, concurrency, async ({ scan, fn }) => {
+    const inspection = await inspectLambdaCodePackage(fn, scan, codeCache);
+    inspectedCount += 1;
+    reportProgress({
+      phase: 'codeAnalysis',
+      message: `Inspected code package for ${fn.FunctionName || fn.FunctionArn}.`,
+      counts: { completed: inspectedCount, total: work.length, files: inspection.entries?.length ?? 0 },
+      warnings: inspection.warning ? [inspection.warning] : []
+    });
+    return inspection;
+  }, (inspection, { scan, fn }) => {
+    if (inspection.warning) {
+      warnings.push(inspection.warning);
     }
-
-    const functionIdentifier = fn.FunctionArn || fn.FunctionName;
-    if (!functionIdentifier) {
-      // eslint-disable-next-line no-continue
-      continue;
+    if (inspection.status === 'failed') {
+      failures += 1;
+      return;
     }
-
-    let archiveBuffer;
-    try {
-      // eslint-disable-next-line no-await-in-loop
-      archiveBuffer = await downloadLambdaCodeArchive(lambdaClient, functionIdentifier);
-      if (!archiveBuffer) {
-        // eslint-disable-next-line no-continue
-        continue;
-      }
-    } catch (error) {
+    if (inspection.status === 'scannedWithError') {
+      scanned += 1;
       failures += 1;
-      warnings.push(`Failed to download code for ${fn.FunctionName || functionIdentifier}: ${error?.message || error}`);
-      // eslint-disable-next-line no-continue
-      continue;
+      return;
+    }
+    if (inspection.status !== 'scanned') {
+      return;
     }
 
     scanned += 1;
-    let entries;
-    try {
-      entries = extractTextEntriesFromArchive(archiveBuffer);
-    } catch (error) {
-      failures += 1;
-      warnings.push(`Failed to inspect archive for ${fn.FunctionName || functionIdentifier}: ${error?.message || error}`);
-      // eslint-disable-next-line no-continue
-      continue;
+    if (inspection.fromCache) {
+      cachedPackages += 1;
     }
-
+    const usage = new Map();
+    codeUsage.set(fn.FunctionArn || fn.FunctionName, usage);
+    const { entries } = inspection;
     if (!entries || entries.length === 0) {
-      // eslint-disable-next-line no-continue
-      continue;
+      return;
     }
 
-    addEntriesToCodeIndex(fn, entries);
+    const ownEntries = selectOwnSourceEntries(entries);
+    addEntriesToCodeIndex(codeIndex, fn, ownEntries);
 
-    const targets = findLambdaInvocationTargets(entries);
-    if (!targets.length) {
-      // eslint-disable-next-line no-continue
-      continue;
+    const scope = { region: scan.region, accountId: scan.accountId };
+    const lambdaByName = lambdaNamesByScope.get(`${scan.accountId}|${scan.region}`) || new Map();
+    const { targets, hints: serviceHints } = analyzeCodeEntries(ownEntries, fn.Environment?.Variables);
+    if (targets.length) {
+      usage.set('Lambda', targets.flatMap((target) => target.locations).slice(0, MAX_EVIDENCE_LOCATIONS));
     }
 
     targets.forEach((target) => {
-      const resolved = resolveLambdaTarget(target, lambdaByArn, lambdaByName);
+      const resolved = resolveLambdaTarget(target, lambdaByArn, lambdaByName, scope);
       if (!resolved) {
         return;
       }
@@ -971,17 +1935,25 @@ async function discoverLambdaInvocationRelations(lambdaClient, builder, lambdaFu
         return;
       }
 
-      builder.addNode({ id: resolved.nodeId, label: resolved.label, service: 'Lambda' });
+      builder.addNode({
+        id: resolved.nodeId,
+        label: resolved.label,
+        service: 'Lambda',
+        region: resolved.region,
+        accountId: resolved.accountId
+      });
+      // A bare function name that matches nothing in the account is only a guess.
+      const confidence = resolved.nodeId.startsWith('lambda://') ? 'heuristic' : 'inferred';
       const before = builder.edges.length;
-      builder.addEdge({ source: sourceId, target: resolved.nodeId, type: 'invokes' });
+      builder.addEdge({ source: sourceId, target: resolved.nodeId, type: 'invokes', ...fromCode(sourceId, target.locations, confidence) });
       if (builder.edges.length > before) {
         addedInvocationEdges += 1;
       }
     });
 
-    const serviceHints = findServiceUsageHints(entries);
     serviceHints.forEach((hint) => {
-      const resolved = resolveServiceUsageHint(hint);
+      usage.set(hint.service, [...(usage.get(hint.service) || []), ...hint.locations].slice(0, MAX_EVIDENCE_LOCATIONS));
+      const resolved = resolveServiceUsageHint(hint, scope);
       if (!resolved || !resolved.node) {
         return;
       }
@@ -989,219 +1961,1842 @@ async function discoverLambdaInvocationRelations(lambdaClient, builder, lambdaFu
       const targetNode = builder.addNode({
         id: resolved.node.id,
         label: resolved.node.label,
-        service: resolved.node.service
+        service: resolved.node.service,
+        region: resolved.node.region,
+        accountId: resolved.node.accountId
       });
 
       const sourceId = fn.FunctionArn || fn.FunctionName;
       const before = builder.edges.length;
-      builder.addEdge({ source: sourceId, target: targetNode.id, type: 'usesService' });
+      builder.addEdge({ source: sourceId, target: targetNode.id, type: 'usesService', ...fromCode(sourceId, hint.locations, 'inferred') });
       if (builder.edges.length > before) {
         addedServiceEdges += 1;
       }
     });
-  }
+  });
 
   return {
     attempted,
     scanned,
+    cached: cachedPackages,
     failures,
     invocationEdges: addedInvocationEdges,
-    serviceEdges: addedServiceEdges
+    serviceEdges: addedServiceEdges,
+    codeUsage
   };
 }
 
-export async function buildAwsGraph() {
-  const validationSteps = [];
+async function collectFunctionDetails(fn, scan) {
+  const { lambdaClient } = scan;
+  const functionNodeId = fn.FunctionArn || fn.FunctionName;
   const warnings = [];
+  const mappingAccumulator = new Map();
 
-  resetCodeSearchIndex();
-
-  const region = resolveRegion();
-  const credentialCheck = await validateCredentials(region);
-
-  if (!credentialCheck.ok) {
-    const message = credentialCheck.error?.message || 'Unable to resolve AWS credentials.';
-    validationSteps.push({
-      action: 'authentication',
-      status: 'failure',
-      message: message.slice(0, 200)
-    });
-
-    return {
-      graph: { nodes: [], edges: [] },
-      validationSteps,
-      warnings,
-      error: 'AWS credentials are missing or invalid. Please configure your ~/.aws credentials.'
-    };
-  }
-
-  const identity = credentialCheck.identity;
-  validationSteps.push({
-    action: 'authentication',
-    status: 'success',
-    message: `Authenticated as ${identity?.Arn ?? 'unknown principal'} in ${region}.`
-  });
-
-  const lambdaClient = new LambdaClient({
-    region,
-    credentials: credentialCheck.credentials
-  });
-
-  const builder = new GraphBuilder();
-  let lambdaFunctions;
-  try {
-    lambdaFunctions = await listAllLambdaFunctions(lambdaClient);
-  } catch (error) {
-    const reason = error?.message || 'Unknown error while listing Lambda functions.';
-    validationSteps.push({
-      action: 'resourceDiscovery',
-      status: 'failure',
-      message: `ListFunctions failed: ${reason}`.slice(0, 200)
+  function recordMappings(list = []) {
+    list.forEach((mapping) => {
+      if (!mapping) {
+        return;
+      }
+      const key = mapping.UUID || `${mapping.EventSourceArn || 'unknown'}|${mapping.FunctionArn || functionNodeId}`;
+      if (!mappingAccumulator.has(key)) {
+        mappingAccumulator.set(key, mapping);
+      }
     });
-
-    return {
-      graph: { nodes: [], edges: [] },
-      validationSteps,
-      warnings,
-      error: `Failed to retrieve Lambda functions: ${reason}`
-    };
   }
 
-  if (lambdaFunctions.length === 0) {
-    validationSteps.push({
-      action: 'resourceDiscovery',
-      status: 'failure',
-      message: 'No Lambda functions were found.'
-    });
-
-    return {
-      graph: { nodes: [], edges: [] },
-      validationSteps,
-      warnings,
-      error: 'No Lambda functions were discovered. Please deploy at least one Lambda function.'
-    };
+  const qualifierArns = new Set([functionNodeId]);
+  if (fn.Version && fn.Version !== '$LATEST') {
+    const versionArn = `${functionNodeId}:${fn.Version}`;
+    qualifierArns.add(versionArn);
+    try {
+      const publishedMappings = await listAllEventSourceMappings(lambdaClient, versionArn);
+      recordMappings(publishedMappings);
+    } catch (publishedError) {
+      warnings.push(`Failed to list event source mappings for version ${versionArn}: ${publishedError?.message || publishedError}`);
+    }
   }
 
-  for (const fn of lambdaFunctions) {
-    const functionNodeId = fn.FunctionArn || fn.FunctionName;
-    builder.addNode({ id: functionNodeId, label: fn.FunctionName, service: 'Lambda' });
-
-    const mappingAccumulator = new Map();
-
-    function recordMappings(list = []) {
-      list.forEach((mapping) => {
-        if (!mapping) {
-          return;
-        }
-        const key = mapping.UUID || `${mapping.EventSourceArn || 'unknown'}|${mapping.FunctionArn || functionNodeId}`;
-        if (!mappingAccumulator.has(key)) {
-          mappingAccumulator.set(key, mapping);
+  let aliases = [];
+  try {
+    aliases = await listAllAliases(lambdaClient, functionNodeId);
+    for (const alias of aliases) {
+      const aliasArn = alias.AliasArn || `${functionNodeId}:${alias.Name}`;
+      qualifierArns.add(aliasArn);
+      if (alias.Name) {
+        qualifierArns.add(`${fn.FunctionName}:${alias.Name}`);
+      }
+      if (alias.FunctionVersion) {
+        qualifierArns.add(`${functionNodeId}:${alias.FunctionVersion}`);
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          const versionMappings = await listAllEventSourceMappings(lambdaClient, `${functionNodeId}:${alias.FunctionVersion}`);
+          recordMappings(versionMappings);
+        } catch (versionError) {
+          warnings.push(`Failed to list event source mappings for version ${functionNodeId}:${alias.FunctionVersion}: ${versionError?.message || versionError}`);
         }
-      });
-    }
-
-    const qualifierArns = new Set([functionNodeId]);
-    if (fn.Version && fn.Version !== '$LATEST') {
-      const versionArn = `${functionNodeId}:${fn.Version}`;
-      qualifierArns.add(versionArn);
+      }
       try {
         // eslint-disable-next-line no-await-in-loop
-        const publishedMappings = await listAllEventSourceMappings(lambdaClient, versionArn);
-        recordMappings(publishedMappings);
-      } catch (publishedError) {
-        warnings.push(`Failed to list event source mappings for version ${versionArn}: ${publishedError?.message || publishedError}`);
+        const aliasMappings = await listAllEventSourceMappings(lambdaClient, aliasArn);
+        recordMappings(aliasMappings);
+      } catch (aliasError) {
+        warnings.push(`Failed to list event source mappings for alias ${aliasArn}: ${aliasError?.message || aliasError}`);
       }
     }
+  } catch (error) {
+    warnings.push(`Failed to list aliases for ${fn.FunctionName}: ${error?.message || error}`);
+  }
+
+  try {
+    const mappings = await listAllEventSourceMappings(lambdaClient, functionNodeId);
+    recordMappings(mappings);
+  } catch (error) {
+    warnings.push(`Failed to list event source mappings for ${fn.FunctionName}: ${error?.message || error}`);
+  }
 
+  const policies = [];
+  const functionUrls = [];
+  for (const qualifier of [null, ...aliases.map((alias) => alias.Name).filter(Boolean)]) {
+    const target = qualifier ? `${fn.FunctionName}:${qualifier}` : fn.FunctionName;
     try {
       // eslint-disable-next-line no-await-in-loop
-      const aliases = await listAllAliases(lambdaClient, functionNodeId);
-      for (const alias of aliases) {
-        const aliasArn = alias.AliasArn || `${functionNodeId}:${alias.Name}`;
-        qualifierArns.add(aliasArn);
-        if (alias.Name) {
-          qualifierArns.add(`${fn.FunctionName}:${alias.Name}`);
-        }
-        if (alias.FunctionVersion) {
-          qualifierArns.add(`${functionNodeId}:${alias.FunctionVersion}`);
-          try {
-            // eslint-disable-next-line no-await-in-loop
-            const versionMappings = await listAllEventSourceMappings(lambdaClient, `${functionNodeId}:${alias.FunctionVersion}`);
-            recordMappings(versionMappings);
-          } catch (versionError) {
-            warnings.push(`Failed to list event source mappings for version ${functionNodeId}:${alias.FunctionVersion}: ${versionError?.message || versionError}`);
-          }
-        }
-        try {
-          // eslint-disable-next-line no-await-in-loop
-          const aliasMappings = await listAllEventSourceMappings(lambdaClient, aliasArn);
-          recordMappings(aliasMappings);
-        } catch (aliasError) {
-          warnings.push(`Failed to list event source mappings for alias ${aliasArn}: ${aliasError?.message || aliasError}`);
-        }
-      };
+      const document = await getFunctionPolicy(lambdaClient, functionNodeId, qualifier);
+      if (document) {
+        policies.push({ qualifier, document });
+      }
     } catch (error) {
-      warnings.push(`Failed to list aliases for ${fn.FunctionName}: ${error?.message || error}`);
+      warnings.push(`Failed to read resource policy for ${target}: ${error?.message || error}`);
     }
-
     try {
       // eslint-disable-next-line no-await-in-loop
-      const mappings = await listAllEventSourceMappings(lambdaClient, functionNodeId);
-      recordMappings(mappings);
+      const urlConfig = await getFunctionUrlConfig(lambdaClient, functionNodeId, qualifier);
+      if (urlConfig?.FunctionUrl) {
+        functionUrls.push({ qualifier, config: urlConfig });
+      }
     } catch (error) {
-      warnings.push(`Failed to list event source mappings for ${fn.FunctionName}: ${error?.message || error}`);
+      warnings.push(`Failed to read function URL for ${target}: ${error?.message || error}`);
     }
-
-    addEventSourceRelations(builder, functionNodeId, Array.from(mappingAccumulator.values()), qualifierArns);
-
-    addDeadLetterRelation(builder, functionNodeId, fn.DeadLetterConfig);
-    addRoleRelation(builder, functionNodeId, fn.Role);
-    addLayerRelations(builder, functionNodeId, fn.Layers);
-    addVpcRelations(builder, functionNodeId, fn.VpcConfig);
-    addEnvironmentRelations(builder, functionNodeId, fn.Environment);
-    addFilesystemRelations(builder, functionNodeId, fn.FileSystemConfigs);
-    addKmsRelation(builder, functionNodeId, fn.KMSKeyArn);
-    addDestinationRelations(builder, functionNodeId, fn.FunctionResponseTypes);
   }
 
-  const invocationStats = await discoverLambdaInvocationRelations(lambdaClient, builder, lambdaFunctions, warnings);
-  if (invocationStats) {
-    const attemptCount = invocationStats.attempted ?? lambdaFunctions.length;
-    const status = attemptCount > 0 && invocationStats.failures === attemptCount ? 'failure' : 'success';
-    const messageParts = [`Analyzed ${invocationStats.scanned}/${attemptCount} Lambda code package(s)`];
-    messageParts.push(`found ${invocationStats.invocationEdges ?? 0} Lambda invocation link(s)`);
-    if (invocationStats.serviceEdges) {
-      messageParts.push(`found ${invocationStats.serviceEdges} service usage link(s)`);
-    }
-    if (invocationStats.failures) {
-      messageParts.push(`${invocationStats.failures} package(s) failed to analyze`);
+  // The unqualified config comes from GetFunctionEventInvokeConfig; the listing adds aliases and versions.
+  const invokeConfigs = [];
+  try {
+    const baseConfig = await getFunctionEventInvokeConfig(lambdaClient, functionNodeId);
+    if (baseConfig) {
+      invokeConfigs.push({ qualifier: null, config: baseConfig });
     }
-    validationSteps.push({
-      action: 'codeAnalysis',
-      status,
-      message: `${messageParts.join('; ')}.`
+    const qualifiedConfigs = await listAllEventInvokeConfigs(lambdaClient, functionNodeId);
+    qualifiedConfigs.forEach((config) => {
+      const qualifier = String(config.FunctionArn || '').split(':')[7];
+      if (qualifier && qualifier !== '$LATEST') {
+        invokeConfigs.push({ qualifier, config });
+      }
     });
+  } catch (error) {
+    warnings.push(`Failed to read async invocation config for ${fn.FunctionName}: ${error?.message || error}`);
   }
 
-  const graph = builder.toGraph();
-  const relatedCount = Math.max(graph.nodes.length - lambdaFunctions.length, 0);
+  let reservedConcurrency;
+  try {
+    const concurrency = await lambdaClient.send(new GetFunctionConcurrencyCommand({ FunctionName: functionNodeId }));
+    reservedConcurrency = concurrency.ReservedConcurrentExecutions;
+  } catch (error) {
+    warnings.push(`Failed to read reserved concurrency for ${fn.FunctionName}: ${error?.message || error}`);
+  }
 
-  validationSteps.push({
-    action: 'resourceDiscovery',
-    status: 'success',
-    message: `Discovered ${lambdaFunctions.length} Lambda function(s) and ${relatedCount} related resource(s).`
+  let tags;
+  try {
+    const response = await lambdaClient.send(new ListTagsCommand({ Resource: functionNodeId }));
+    tags = response.Tags && Object.keys(response.Tags).length ? response.Tags : undefined;
+  } catch (error) {
+    warnings.push(`Failed to list tags for ${fn.FunctionName}: ${error?.message || error}`);
+  }
+
+  return {
+    mappings: Array.from(mappingAccumulator.values()),
+    qualifierArns,
+    aliases,
+    policies,
+    functionUrls,
+    invokeConfigs,
+    reservedConcurrency,
+    tags,
+    warnings
+  };
+}
+
+// Function, alias and version nodes go in before any relations are drawn: a trigger or destination
+// naming another function's alias must find that alias node whichever function is folded first.
+function addLambdaFunctionNodes(builder, fn, scan, details, { aliasNodes = false } = {}) {
+  const scope = { region: scan.region, accountId: scan.accountId };
+  const functionNodeId = fn.FunctionArn || fn.FunctionName;
+  builder.addNode({
+    id: functionNodeId,
+    label: fn.FunctionName,
+    service: 'Lambda',
+    region: scan.region,
+    accountId: scan.accountId,
+    attributes: {
+      kind: 'function',
+      runtime: fn.Runtime,
+      handler: fn.Handler,
+      memorySize: fn.MemorySize,
+      timeout: fn.Timeout,
+      architectures: fn.Architectures?.join(', '),
+      packageType: fn.PackageType,
+      lastModified: fn.LastModified,
+      codeSize: fn.CodeSize,
+      reservedConcurrency: details.reservedConcurrency,
+      tags: details.tags
+    }
   });
 
-  if (!codeIndexMeta.lastUpdated) {
-    codeIndexMeta.lastUpdated = new Date().toISOString();
+  if (aliasNodes) {
+    addAliasRelations(builder, fn, functionNodeId, details.aliases, scope);
   }
+}
 
-  return {
-    graph,
+function addLambdaFunctionRelations(builder, fn, scan, details) {
+  const scope = { region: scan.region, accountId: scan.accountId };
+  const functionNodeId = fn.FunctionArn || fn.FunctionName;
+  addEventSourceRelations(builder, functionNodeId, details.mappings, details.qualifierArns, scope);
+  addPermissionRelations(builder, functionNodeId, details.policies, scope);
+  addFunctionUrlRelations(builder, functionNodeId, details.functionUrls);
+
+  addDeadLetterRelation(builder, functionNodeId, fn.DeadLetterConfig, scope);
+  addRoleRelation(builder, functionNodeId, fn.Role, scope);
+  addLayerRelations(builder, functionNodeId, fn.Layers, scope);
+  addVpcRelations(builder, functionNodeId, fn.VpcConfig, scope);
+  addEnvironmentRelations(builder, functionNodeId, fn.Environment, scope);
+  addFilesystemRelations(builder, functionNodeId, fn.FileSystemConfigs, scope);
+  addKmsRelation(builder, functionNodeId, fn.KMSKeyArn, scope);
+  addDestinationRelations(builder, functionNodeId, details.invokeConfigs, scope);
+}
+
+async function listAllEventBuses(eventBridgeClient) {
+  const buses = [];
+  let nextToken;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const response = await eventBridgeClient.send(new ListEventBusesCommand({ NextToken: nextToken }));
+    if (response.EventBuses) {
+      buses.push(...response.EventBuses);
+    }
+    nextToken = response.NextToken;
+  } while (nextToken);
+  return buses;
+}
+
+async function listAllEventRules(eventBridgeClient, eventBusName) {
+  const rules = [];
+  let nextToken;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const response = await eventBridgeClient.send(new ListRulesCommand({ EventBusName: eventBusName, NextToken: nextToken }));
+    if (response.Rules) {
+      rules.push(...response.Rules);
+    }
+    nextToken = response.NextToken;
+  } while (nextToken);
+  return rules;
+}
+
+async function listAllRuleTargets(eventBridgeClient, rule) {
+  const targets = [];
+  let nextToken;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const response = await eventBridgeClient.send(new ListTargetsByRuleCommand({
+      Rule: rule.Name,
+      EventBusName: rule.EventBusName,
+      NextToken: nextToken
+    }));
+    if (response.Targets) {
+      targets.push(...response.Targets);
+    }
+    nextToken = response.NextToken;
+  } while (nextToken);
+  return targets;
+}
+
+function summarizePatternValue(value) {
+  if (Array.isArray(value)) {
+    return value.map((item) => (typeof item === 'object' && item !== null ? JSON.stringify(item) : String(item))).join(' | ');
+  }
+  if (value && typeof value === 'object') {
+    return `{ ${Object.entries(value).map(([key, nested]) => `${key}: ${summarizePatternValue(nested)}`).join('; ')} }`;
+  }
+  return String(value);
+}
+
+// Renders an event pattern as "source: aws.s3; detail-type: Object Created" so it fits in a node label or tooltip.
+function summarizeEventPattern(eventPattern) {
+  if (!eventPattern) {
+    return undefined;
+  }
+  let pattern;
+  try {
+    pattern = JSON.parse(eventPattern);
+  } catch (error) {
+    return eventPattern.slice(0, 200);
+  }
+  const summary = Object.entries(pattern || {})
+    .map(([key, value]) => `${key}: ${summarizePatternValue(value)}`)
+    .join('; ');
+  return summary.length > 200 ? `${summary.slice(0, 197)}...` : summary;
+}
+
+async function collectEventBridgeRules(scan) {
+  const warnings = [];
+  const eventBridgeClient = scan.account.createClient(EventBridgeClient, scan.region);
+  const buses = [];
+
+  let busList;
+  try {
+    busList = await listAllEventBuses(eventBridgeClient);
+  } catch (error) {
+    warnings.push(`Failed to list EventBridge buses in ${scan.accountId}/${scan.region}: ${error?.message || error}`);
+    return { buses, warnings };
+  }
+
+  for (const bus of busList) {
+    const rules = [];
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const busRules = await listAllEventRules(eventBridgeClient, bus.Name);
+      for (const rule of busRules) {
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          rules.push({ rule, targets: await listAllRuleTargets(eventBridgeClient, rule) });
+        } catch (error) {
+          warnings.push(`Failed to list targets for EventBridge rule ${rule.Name}: ${error?.message || error}`);
+          rules.push({ rule, targets: [] });
+        }
+      }
+    } catch (error) {
+      warnings.push(`Failed to list EventBridge rules on bus ${bus.Name} in ${scan.accountId}/${scan.region}: ${error?.message || error}`);
+    }
+    buses.push({ bus, rules });
+  }
+
+  return { buses, warnings };
+}
+
+function addEventBridgeRelations(builder, { buses }, scan) {
+  const scope = { region: scan.region, accountId: scan.accountId };
+  buses.forEach(({ bus, rules }) => {
+    // Buses without rules add nothing but noise to the graph.
+    if (!rules.length) {
+      return;
+    }
+    const busNode = {
+      ...describeArn(bus.Arn, scope),
+      label: bus.Name,
+      service: 'EventBridge',
+      attributes: { kind: 'eventBus' }
+    };
+    builder.addNode(busNode);
+
+    rules.forEach(({ rule, targets }) => {
+      const ruleNode = {
+        ...describeArn(rule.Arn, scope),
+        label: rule.Name,
+        service: 'EventBridge',
+        attributes: {
+          kind: 'rule',
+          eventBus: bus.Name,
+          state: rule.State,
+          scheduleExpression: rule.ScheduleExpression,
+          eventPattern: summarizeEventPattern(rule.EventPattern),
+          description: rule.Description
+        }
+      };
+      builder.addNode(ruleNode);
+      builder.addEdge({ source: busNode.id, target: ruleNode.id, type: 'rule', ...fromApi('events:ListRules') });
+
+      targets.forEach((target) => {
+        if (!target.Arn) {
+          return;
+        }
+        const targetArn = resolveTargetNodeId(builder, target.Arn);
+        const targetNode = describeArn(targetArn, scope);
+        builder.addNode(targetNode);
+        builder.addEdge({
+          source: ruleNode.id,
+          target: targetNode.id,
+          type: 'eventTarget',
+          metadata: {
+            targetId: target.Id,
+            ...(targetArn !== target.Arn ? { qualifiedArn: target.Arn } : {}),
+            deadLetterArn: target.DeadLetterConfig?.Arn,
+            sqsMessageGroupId: target.SqsParameters?.MessageGroupId
+          },
+          ...fromApi('events:ListTargetsByRule')
+        });
+      });
+    });
+  });
+}
+
+// Only buckets homed in the scanned region are listed, so each bucket is read once per account.
+async function listRegionBuckets(s3Client, region) {
+  const buckets = [];
+  let continuationToken;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const response = await s3Client.send(new ListBucketsCommand({
+      BucketRegion: region,
+      MaxBuckets: 1000,
+      ContinuationToken: continuationToken
+    }));
+    if (response.Buckets) {
+      buckets.push(...response.Buckets);
+    }
+    continuationToken = response.ContinuationToken;
+  } while (continuationToken);
+  return buckets;
+}
+
+async function collectBucketNotifications(scan) {
+  const warnings = [];
+  const s3Client = scan.account.createClient(S3Client, scan.region);
+  const buckets = [];
+
+  let bucketList;
+  try {
+    bucketList = await listRegionBuckets(s3Client, scan.region);
+  } catch (error) {
+    warnings.push(`Failed to list S3 buckets in ${scan.accountId}/${scan.region}: ${error?.message || error}`);
+    return { buckets, warnings };
+  }
+
+  for (const bucket of bucketList) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const configuration = await s3Client.send(new GetBucketNotificationConfigurationCommand({ Bucket: bucket.Name }));
+      buckets.push({ name: bucket.Name, configuration });
+    } catch (error) {
+      warnings.push(`Failed to read notification configuration for bucket ${bucket.Name}: ${error?.message || error}`);
+    }
+  }
+
+  return { buckets, warnings };
+}
+
+function describeNotificationFilter(filter) {
+  const rules = filter?.Key?.FilterRules || [];
+  return rules
+    .filter((rule) => rule?.Value)
+    .map((rule) => `${String(rule.Name).toLowerCase()} ${rule.Value}`)
+    .join(', ');
+}
+
+function addBucketNotificationRelations(builder, { buckets }, scan) {
+  const scope = { region: scan.region, accountId: scan.accountId };
+  buckets.forEach(({ name, configuration }) => {
+    const destinations = [
+      ...(configuration.LambdaFunctionConfigurations || []).map((config) => ({ config, arn: config.LambdaFunctionArn })),
+      ...(configuration.QueueConfigurations || []).map((config) => ({ config, arn: config.QueueArn })),
+      ...(configuration.TopicConfigurations || []).map((config) => ({ config, arn: config.TopicArn }))
+    ].filter(({ arn }) => arn);
+    const eventBridgeEnabled = Boolean(configuration.EventBridgeConfiguration);
+    if (!destinations.length && !eventBridgeEnabled) {
+      return;
+    }
+
+    const bucketNode = {
+      ...describeArn(`arn:aws:s3:::${name}`, scope),
+      attributes: eventBridgeEnabled ? { eventBridgeEnabled: true } : undefined
+    };
+    builder.addNode(bucketNode);
+
+    // Several configurations may point at the same target; they share one edge listing every event and filter.
+    const byTarget = new Map();
+    destinations.forEach(({ config, arn }) => {
+      const targetArn = resolveTargetNodeId(builder, arn);
+      if (!byTarget.has(targetArn)) {
+        byTarget.set(targetArn, []);
+      }
+      byTarget.get(targetArn).push(config);
+    });
+
+    byTarget.forEach((configs, targetArn) => {
+      const targetNode = describeArn(targetArn, scope);
+      builder.addNode(targetNode);
+      const filters = configs.map((config) => describeNotificationFilter(config.Filter)).filter(Boolean);
+      builder.addEdge({
+        source: bucketNode.id,
+        target: targetNode.id,
+        type: 'notification',
+        metadata: {
+          events: Array.from(new Set(configs.flatMap((config) => config.Events || []))).join(', '),
+          filter: filters.length ? filters.join(' | ') : undefined,
+          configurationId: configs.map((config) => config.Id).filter(Boolean).join(', ') || undefined
+        },
+        ...fromApi('s3:GetBucketNotificationConfiguration')
+      });
+    });
+
+    if (eventBridgeEnabled) {
+      const busNode = {
+        ...describeArn(`arn:aws:events:${scan.region}:${scan.accountId}:event-bus/default`, scope),
+        attributes: { kind: 'eventBus' }
+      };
+      builder.addNode(busNode);
+      builder.addEdge({ source: bucketNode.id, target: busNode.id, type: 'notification', metadata: { events: 'all (EventBridge)' }, ...fromApi('s3:GetBucketNotificationConfiguration') });
+    }
+  });
+}
+
+async function listAllStateMachines(sfnClient) {
+  const stateMachines = [];
+  let nextToken;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const response = await sfnClient.send(new ListStateMachinesCommand({ nextToken }));
+    if (response.stateMachines) {
+      stateMachines.push(...response.stateMachines);
+    }
+    nextToken = response.nextToken;
+  } while (nextToken);
+  return stateMachines;
+}
+
+async function collectStateMachines(scan) {
+  const warnings = [];
+  const sfnClient = scan.account.createClient(SFNClient, scan.region);
+  const stateMachines = [];
+
+  let stateMachineList;
+  try {
+    stateMachineList = await listAllStateMachines(sfnClient);
+  } catch (error) {
+    warnings.push(`Failed to list Step Functions state machines in ${scan.accountId}/${scan.region}: ${error?.message || error}`);
+    return { stateMachines, warnings };
+  }
+
+  for (const stateMachine of stateMachineList) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const description = await sfnClient.send(new DescribeStateMachineCommand({ stateMachineArn: stateMachine.stateMachineArn }));
+      stateMachines.push({
+        arn: stateMachine.stateMachineArn,
+        name: stateMachine.name,
+        type: description.type || stateMachine.type,
+        definition: JSON.parse(description.definition || '{}')
+      });
+    } catch (error) {
+      warnings.push(`Failed to read definition of state machine ${stateMachine.name}: ${error?.message || error}`);
+    }
+  }
+
+  return { stateMachines, warnings };
+}
+
+// Visits every state, including those nested in Parallel branches and Map processors.
+function walkStates(states, visit, path = []) {
+  Object.entries(states || {}).forEach(([name, state]) => {
+    visit(name, state || {}, path);
+    (state?.Branches || []).forEach((branch, index) => {
+      walkStates(branch?.States, visit, [...path, name, String(index)]);
+    });
+    const processor = state?.ItemProcessor || state?.Iterator;
+    if (processor) {
+      walkStates(processor.States, visit, [...path, name]);
+    }
+  });
+}
+
+// Dynamic values ("FunctionName.$" or JSONata "{% ... %}") cannot be resolved statically and are skipped.
+function readStaticParameter(parameters, key) {
+  const value = parameters?.[key];
+  if (typeof value !== 'string' || !value || value.startsWith('{%')) {
+    return null;
+  }
+  return value;
+}
+
+// Qualifiers are kept so alias-bound tasks can attach to alias nodes.
+function resolveFunctionReference(reference, scope) {
+  if (reference.startsWith('arn:')) {
+    return reference;
+  }
+  const partialMatch = /^([0-9]{12}):function:([A-Za-z0-9_-]+(:[A-Za-z0-9$_-]+)?)$/.exec(reference);
+  if (partialMatch) {
+    return `arn:aws:lambda:${scope.region}:${partialMatch[1]}:function:${partialMatch[2]}`;
+  }
+  return `arn:aws:lambda:${scope.region}:${scope.accountId}:function:${reference}`;
+}
+
+function resolveTaskTarget(state, scope) {
+  const parsed = parseArn(state.Resource);
+  if (!parsed) {
+    return null;
+  }
+  if (parsed.service === 'lambda') {
+    return { arn: state.Resource, integration: 'lambda' };
+  }
+  if (parsed.service !== 'states' || parsed.region) {
+    return null;
+  }
+
+  // Integrations look like "arn:aws:states:::sqs:sendMessage" or "arn:aws:states:::aws-sdk:sqs:sendMessage.waitForTaskToken".
+  const integration = parsed.resource.replace(/^aws-sdk:/, '').replace(/\.(sync(:2)?|waitForTaskToken)$/, '');
+  const [service] = integration.split(':');
+  const parameters = state.Parameters || state.Arguments || {};
+  let arn = null;
+
+  if (service === 'lambda') {
+    const functionName = readStaticParameter(parameters, 'FunctionName');
+    arn = functionName ? resolveFunctionReference(functionName, scope) : null;
+  } else if (service === 'sqs') {
+    const queueUrl = readStaticParameter(parameters, 'QueueUrl');
+    arn = queueUrl ? sqsUrlToArn(queueUrl) : null;
+  } else if (service === 'sns') {
+    arn = readStaticParameter(parameters, 'TopicArn');
+  } else if (service === 'dynamodb') {
+    const tableName = readStaticParameter(parameters, 'TableName');
+    if (tableName) {
+      arn = tableName.startsWith('arn:') ? tableName : `arn:aws:dynamodb:${scope.region}:${scope.accountId}:table/${tableName}`;
+    }
+  } else if (service === 'states' || service === 'sfn') {
+    arn = readStaticParameter(parameters, 'StateMachineArn');
+  }
+
+  return arn ? { arn, integration } : null;
+}
+
+function stateNodeId(stateMachineArn, path, name) {
+  return `${stateMachineArn}#${[...path, name].join('/')}`;
+}
+
+// The sub-graph holds one node per state plus its transitions; the UI swaps it in when the state machine is expanded.
+function buildStateMachineSubgraph(stateMachine, tasks, scope) {
+  const nodes = [];
+  const edges = [];
+  const definition = stateMachine.definition;
+
+  const link = (path, name, next, type) => {
+    if (next) {
+      edges.push({ source: stateNodeId(stateMachine.arn, path, name), target: stateNodeId(stateMachine.arn, path, next), type });
+    }
+  };
+
+  walkStates(definition.States, (name, state, path) => {
+    const id = stateNodeId(stateMachine.arn, path, name);
+    nodes.push({
+      id,
+      label: `${name} (${state.Type || 'State'})`,
+      service: 'StepFunctions',
+      region: scope.region,
+      accountId: scope.accountId,
+      attributes: { kind: 'state', stateType: state.Type }
+    });
+    link(path, name, state.Next, 'next');
+    link(path, name, state.Default, 'default');
+    (state.Choices || []).forEach((choice) => link(path, name, choice.Next, 'choice'));
+    (state.Catch || []).forEach((catcher) => link(path, name, catcher.Next, 'catch'));
+    (state.Branches || []).forEach((branch, index) => {
+      if (branch?.StartAt) {
+        edges.push({ source: id, target: stateNodeId(stateMachine.arn, [...path, name, String(index)], branch.StartAt), type: 'branch' });
+      }
+    });
+    const processor = state.ItemProcessor || state.Iterator;
+    if (processor?.StartAt) {
+      edges.push({ source: id, target: stateNodeId(stateMachine.arn, [...path, name], processor.StartAt), type: 'iteration' });
+    }
+  });
+
+  if (definition.StartAt) {
+    edges.push({ source: stateMachine.arn, target: stateNodeId(stateMachine.arn, [], definition.StartAt), type: 'start' });
+  }
+  tasks.forEach(({ path, name, target }) => {
+    edges.push({ source: stateNodeId(stateMachine.arn, path, name), target: target.arn, type: 'task' });
+  });
+
+  return { nodes, edges };
+}
+
+function addStateMachineRelations(builder, { stateMachines }, scan) {
+  const scope = { region: scan.region, accountId: scan.accountId };
+  stateMachines.forEach((stateMachine) => {
+    const tasks = [];
+    walkStates(stateMachine.definition.States, (name, state, path) => {
+      if (state.Type !== 'Task') {
+        return;
+      }
+      const target = resolveTaskTarget(state, scope);
+      if (target) {
+        tasks.push({ path, name, target: { ...target, arn: resolveTargetNodeId(builder, target.arn) } });
+      }
+    });
+
+    const stateMachineNode = {
+      ...describeArn(stateMachine.arn, scope),
+      label: stateMachine.name,
+      service: 'StepFunctions',
+      attributes: { kind: 'stateMachine', type: stateMachine.type },
+      subgraph: buildStateMachineSubgraph(stateMachine, tasks, scope)
+    };
+    builder.addNode(stateMachineNode);
+
+    // One edge per target; the state names that call it are kept on the edge.
+    const byTarget = new Map();
+    tasks.forEach(({ name, target }) => {
+      if (!byTarget.has(target.arn)) {
+        byTarget.set(target.arn, { integrations: new Set(), states: [] });
+      }
+      byTarget.get(target.arn).integrations.add(target.integration);
+      byTarget.get(target.arn).states.push(name);
+    });
+
+    byTarget.forEach(({ integrations, states }, targetArn) => {
+      const targetNode = describeArn(targetArn, scope);
+      builder.addNode(targetNode);
+      builder.addEdge({
+        source: stateMachineNode.id,
+        target: targetNode.id,
+        type: 'task',
+        metadata: {
+          states: Array.from(new Set(states)).join(', '),
+          integration: Array.from(integrations).join(', ')
+        },
+        ...fromApi('states:DescribeStateMachine')
+      });
+    });
+  });
+}
+
+// REST APIs page with "position", HTTP APIs with "NextToken"; both return their page in "items"/"Items".
+async function listAllRestApiPages(client, createCommand) {
+  const items = [];
+  let position;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const response = await client.send(createCommand(position));
+    if (response.items) {
+      items.push(...response.items);
+    }
+    position = response.position;
+  } while (position);
+  return items;
+}
+
+async function listAllHttpApiPages(client, createCommand) {
+  const items = [];
+  let nextToken;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const response = await client.send(createCommand(nextToken));
+    if (response.Items) {
+      items.push(...response.Items);
+    }
+    nextToken = response.NextToken;
+  } while (nextToken);
+  return items;
+}
+
+// Integration and authorizer URIs wrap the function ARN:
+// arn:aws:apigateway:eu-west-1:lambda:path/2015-03-31/functions/<function arn>/invocations
+function extractLambdaArnFromUri(uri) {
+  if (typeof uri !== 'string' || uri.includes('${')) {
+    return null;
+  }
+  const wrapped = /functions\/(arn:[^/]+:lambda:[^/]+)\/invocations/.exec(uri);
+  if (wrapped) {
+    return wrapped[1];
+  }
+  return parseArn(uri)?.service === 'lambda' ? uri : null;
+}
+
+function cognitoIssuerToArn(issuer, scope) {
+  const match = /^https:\/\/cognito-idp\.([a-z0-9-]+)\.amazonaws\.com\/([A-Za-z0-9_-]+)/.exec(issuer || '');
+  return match ? `arn:aws:cognito-idp:${match[1]}:${scope.accountId}:userpool/${match[2]}` : null;
+}
+
+function apiNodeId(apiId, scope) {
+  return `arn:aws:execute-api:${scope.region}:${scope.accountId}:${apiId}`;
+}
+
+async function collectRestApis(scan) {
+  const warnings = [];
+  const client = scan.account.createClient(APIGatewayClient, scan.region);
+  const apis = [];
+
+  let apiList;
+  try {
+    apiList = await listAllRestApiPages(client, (position) => new GetRestApisCommand({ limit: 500, position }));
+  } catch (error) {
+    warnings.push(`Failed to list API Gateway REST APIs in ${scan.accountId}/${scan.region}: ${error?.message || error}`);
+    return { apis, warnings };
+  }
+
+  for (const api of apiList) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const resources = await listAllRestApiPages(client, (position) => new GetResourcesCommand({
+        restApiId: api.id,
+        embed: ['methods'],
+        limit: 500,
+        position
+      }));
+      // eslint-disable-next-line no-await-in-loop
+      const authorizers = await listAllRestApiPages(client, (position) => new GetRestApiAuthorizersCommand({ restApiId: api.id, limit: 500, position }));
+
+      const routes = [];
+      for (const resource of resources) {
+        for (const [httpMethod, embeddedMethod] of Object.entries(resource.resourceMethods || {})) {
+          let method = embeddedMethod;
+          // Embedded methods normally carry their integration; fetch the method when they do not.
+          if (!method?.methodIntegration) {
+            // eslint-disable-next-line no-await-in-loop
+            method = await client.send(new GetMethodCommand({ restApiId: api.id, resourceId: resource.id, httpMethod }));
+          }
+          routes.push({
+            key: `${httpMethod} ${resource.path}`,
+            resourceId: resource.id,
+            method: httpMethod,
+            integrationType: method?.methodIntegration?.type,
+            integrationUri: method?.methodIntegration?.uri,
+            authorizationType: method?.authorizationType,
+            authorizerId: method?.authorizerId
+          });
+        }
+      }
+
+      apis.push({
+        id: api.id,
+        name: api.name,
+        kind: 'restApi',
+        routes,
+        authorizers: authorizers.map((authorizer) => ({
+          id: authorizer.id,
+          name: authorizer.name,
+          type: authorizer.type,
+          uri: authorizer.authorizerUri,
+          providerArns: authorizer.providerARNs || []
+        }))
+      });
+    } catch (error) {
+      warnings.push(`Failed to read routes of REST API ${api.name}: ${error?.message || error}`);
+    }
+  }
+
+  return { apis, warnings };
+}
+
+async function collectHttpApis(scan) {
+  const warnings = [];
+  const client = scan.account.createClient(ApiGatewayV2Client, scan.region);
+  const apis = [];
+
+  let apiList;
+  try {
+    apiList = await listAllHttpApiPages(client, (nextToken) => new GetApisCommand({ NextToken: nextToken }));
+  } catch (error) {
+    warnings.push(`Failed to list API Gateway HTTP APIs in ${scan.accountId}/${scan.region}: ${error?.message || error}`);
+    return { apis, warnings };
+  }
+
+  for (const api of apiList) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const [routes, integrations, authorizers] = await Promise.all([
+        listAllHttpApiPages(client, (nextToken) => new GetRoutesCommand({ ApiId: api.ApiId, NextToken: nextToken })),
+        listAllHttpApiPages(client, (nextToken) => new GetIntegrationsCommand({ ApiId: api.ApiId, NextToken: nextToken })),
+        listAllHttpApiPages(client, (nextToken) => new GetHttpApiAuthorizersCommand({ ApiId: api.ApiId, NextToken: nextToken }))
+      ]);
+      const integrationsById = new Map(integrations.map((integration) => [integration.IntegrationId, integration]));
+
+      apis.push({
+        id: api.ApiId,
+        name: api.Name,
+        kind: api.ProtocolType === 'WEBSOCKET' ? 'websocketApi' : 'httpApi',
+        endpoint: api.ApiEndpoint,
+        routes: routes.map((route) => {
+          // Route targets have the form "integrations/<integration id>".
+          const integration = integrationsById.get(String(route.Target || '').replace(/^integrations\//, ''));
+          return {
+            key: route.RouteKey,
+            routeId: route.RouteId,
+            integrationType: integration?.IntegrationType,
+            integrationUri: integration?.IntegrationUri,
+            authorizationType: route.AuthorizationType,
+            authorizerId: route.AuthorizerId
+          };
+        }),
+        authorizers: authorizers.map((authorizer) => ({
+          id: authorizer.AuthorizerId,
+          name: authorizer.Name,
+          type: authorizer.AuthorizerType,
+          uri: authorizer.AuthorizerUri,
+          providerArns: [cognitoIssuerToArn(authorizer.JwtConfiguration?.Issuer, { accountId: scan.accountId })].filter(Boolean)
+        }))
+      });
+    } catch (error) {
+      warnings.push(`Failed to read routes of HTTP API ${api.Name}: ${error?.message || error}`);
+    }
+  }
+
+  return { apis, warnings };
+}
+
+function describeAuthorizerTargets(builder, authorizer, scope) {
+  if (!authorizer) {
+    return [];
+  }
+  const lambdaArn = extractLambdaArnFromUri(authorizer.uri);
+  const functionArn = lambdaArn ? resolveTargetNodeId(builder, lambdaArn) : null;
+  const arns = functionArn ? [functionArn] : authorizer.providerArns;
+  return arns.map((arn) => describeArn(arn, scope));
+}
+
+// Routes become nodes of the API's sub-graph; the API node itself links straight to every integration and authorizer.
+function addApiGatewayRelations(builder, { apis }, scan) {
+  const scope = { region: scan.region, accountId: scan.accountId };
+  apis.forEach((api) => {
+    const apiId = apiNodeId(api.id, scope);
+    const integrationApi = api.kind === 'restApi' ? 'apigateway:GetResources' : 'apigateway:GetIntegrations';
+    const authorizersById = new Map(api.authorizers.map((authorizer) => [authorizer.id, authorizer]));
+    const subgraph = { nodes: [], edges: [] };
+    const integrationRoutes = new Map();
+    const authorizerRoutes = new Map();
+
+    api.routes.forEach((route) => {
+      const routeId = `${apiId}#${route.key}`;
+      subgraph.nodes.push({
+        id: routeId,
+        label: route.key,
+        service: 'APIGateway',
+        region: scope.region,
+        accountId: scope.accountId,
+        attributes: {
+          kind: 'route',
+          apiId: api.id,
+          apiKind: api.kind,
+          resourceId: route.resourceId,
+          routeId: route.routeId,
+          authorizationType: route.authorizationType,
+          integrationType: route.integrationType
+        }
+      });
+      subgraph.edges.push({ source: apiId, target: routeId, type: 'route' });
+
+      const lambdaArn = extractLambdaArnFromUri(route.integrationUri);
+      const functionArn = lambdaArn ? resolveTargetNodeId(builder, lambdaArn) : null;
+      if (functionArn) {
+        subgraph.edges.push({ source: routeId, target: functionArn, type: 'integration' });
+        if (!integrationRoutes.has(functionArn)) {
+          integrationRoutes.set(functionArn, []);
+        }
+        integrationRoutes.get(functionArn).push(route.key);
+      }
+
+      const authorizer = authorizersById.get(route.authorizerId);
+      describeAuthorizerTargets(builder, authorizer, scope).forEach((targetNode) => {
+        subgraph.edges.push({ source: routeId, target: targetNode.id, type: 'authorizer' });
+        if (!authorizerRoutes.has(targetNode.id)) {
+          authorizerRoutes.set(targetNode.id, { node: targetNode, authorizer, routes: [] });
+        }
+        authorizerRoutes.get(targetNode.id).routes.push(route.key);
+      });
+    });
+
+    const apiNode = builder.addNode({
+      id: apiId,
+      label: api.name || api.id,
+      service: 'APIGateway',
+      region: scope.region,
+      accountId: scope.accountId,
+      attributes: { kind: api.kind, apiId: api.id, endpoint: api.endpoint },
+      subgraph: subgraph.nodes.length ? subgraph : undefined
+    });
+    // Permission statements may have added the API earlier under its bare id.
+    apiNode.label = api.name || apiNode.label;
+
+    integrationRoutes.forEach((routes, functionArn) => {
+      const functionNode = describeArn(functionArn, scope);
+      builder.addNode(functionNode);
+      builder.addEdge({ source: apiId, target: functionNode.id, type: 'integration', metadata: { routes: routes.join(', ') }, ...fromApi(integrationApi) });
+    });
+
+    authorizerRoutes.forEach(({ node, authorizer, routes }) => {
+      builder.addNode(node);
+      builder.addEdge({
+        source: apiId,
+        target: node.id,
+        type: 'authorizer',
+        metadata: { authorizer: authorizer.name, authorizerType: authorizer.type, routes: routes.join(', ') },
+        ...fromApi('apigateway:GetAuthorizers')
+      });
+    });
+  });
+}
+
+const TRIGGER_SOURCES = [
+  { label: 'EventBridge rules', collect: collectEventBridgeRules, addRelations: addEventBridgeRelations },
+  { label: 'S3 bucket notifications', collect: collectBucketNotifications, addRelations: addBucketNotificationRelations },
+  { label: 'Step Functions state machines', collect: collectStateMachines, addRelations: addStateMachineRelations },
+  { label: 'API Gateway REST APIs', collect: collectRestApis, addRelations: addApiGatewayRelations },
+  { label: 'API Gateway HTTP APIs', collect: collectHttpApis, addRelations: addApiGatewayRelations }
+];
+
+async function discoverTriggerRelations(builder, scans, warnings, { concurrency, reportProgress = () => {} } = {}) {
+  const work = scans.flatMap((scan) => TRIGGER_SOURCES.map((source) => ({ scan, source })));
+  let completed = 0;
+  const collected = await mapWithConcurrency(work, concurrency, async ({ scan, source }) => {
+    const result = await source.collect(scan);
+    completed += 1;
+    reportProgress({
+      phase: 'triggerDiscovery',
+      message: `Listed ${source.label} in ${scan.accountId}/${scan.region}.`,
+      counts: { completed, total: work.length },
+      warnings: result.warnings
+    });
+    return result;
+  });
+
+  const edgeCounts = new Map();
+  work.forEach(({ scan, source }, index) => {
+    const result = collected[index];
+    warnings.push(...result.warnings);
+    const edgesBefore = builder.edges.length;
+    source.addRelations(builder, result, scan);
+    edgeCounts.set(source.label, (edgeCounts.get(source.label) ?? 0) + builder.edges.length - edgesBefore);
+  });
+  return edgeCounts;
+}
+
+async function listAllTopicSubscriptions(snsClient, topicArn) {
+  const subscriptions = [];
+  let nextToken;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const response = await snsClient.send(new ListSubscriptionsByTopicCommand({ TopicArn: topicArn, NextToken: nextToken }));
+    if (response.Subscriptions) {
+      subscriptions.push(...response.Subscriptions);
+    }
+    nextToken = response.NextToken;
+  } while (nextToken);
+  return subscriptions;
+}
+
+function isSubscriptionArn(value) {
+  return Boolean(parseArn(value)) && value.split(':').length === 7;
+}
+
+async function collectTopicSubscriptions(topicArn, account) {
+  const warnings = [];
+  const region = parseArn(topicArn).region;
+  const snsClient = account.createClient(SNSClient, region);
+  const subscriptions = [];
+
+  let subscriptionList;
+  try {
+    subscriptionList = await listAllTopicSubscriptions(snsClient, topicArn);
+  } catch (error) {
+    warnings.push(`Failed to list subscriptions for SNS topic ${topicArn}: ${error?.message || error}`);
+    return { subscriptions, warnings };
+  }
+
+  for (const subscription of subscriptionList) {
+    let attributes = {};
+    // Unconfirmed subscriptions have the placeholder "PendingConfirmation" instead of an ARN.
+    if (isSubscriptionArn(subscription.SubscriptionArn)) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const response = await snsClient.send(new GetSubscriptionAttributesCommand({ SubscriptionArn: subscription.SubscriptionArn }));
+        attributes = response.Attributes || {};
+      } catch (error) {
+        warnings.push(`Failed to read attributes for subscription ${subscription.SubscriptionArn}: ${error?.message || error}`);
+      }
+    }
+    subscriptions.push({ subscription, attributes });
+  }
+
+  return { subscriptions, warnings };
+}
+
+function describeSubscriptionEndpoint(protocol, endpoint, scope) {
+  switch (protocol) {
+    case 'lambda':
+    case 'sqs':
+    case 'firehose':
+    case 'application':
+      return describeArn(endpoint, scope);
+    case 'http':
+    case 'https': {
+      let label = endpoint;
+      try {
+        const url = new URL(endpoint);
+        label = `${url.host}${url.pathname === '/' ? '' : url.pathname}`;
+      } catch (error) {
+        // Keep the raw endpoint as the label.
+      }
+      return { id: endpoint, label, service: 'HTTP' };
+    }
+    case 'email':
+    case 'email-json':
+      return { id: `email:${endpoint}`, label: endpoint, service: 'Email' };
+    case 'sms':
+      return { id: `sms:${endpoint}`, label: endpoint, service: 'SMS' };
+    default:
+      return { id: `${protocol}:${endpoint}`, label: endpoint, service: 'Unknown' };
+  }
+}
+
+function addTopicSubscriptionRelations(builder, topicNodeId, subscriptions, scope) {
+  subscriptions.forEach(({ subscription, attributes }) => {
+    if (!subscription.Endpoint) {
+      return;
+    }
+    const protocol = String(subscription.Protocol || '').toLowerCase();
+    const endpoint = protocol === 'lambda' ? resolveTargetNodeId(builder, subscription.Endpoint) : subscription.Endpoint;
+    const endpointNode = describeSubscriptionEndpoint(protocol, endpoint, scope);
+    builder.addNode(endpointNode);
+    builder.addEdge({
+      source: topicNodeId,
+      target: endpointNode.id,
+      type: 'subscription',
+      metadata: {
+        protocol,
+        qualifiedArn: protocol === 'lambda' && endpointNode.id !== subscription.Endpoint ? subscription.Endpoint : undefined,
+        filterPolicy: attributes.FilterPolicy,
+        filterPolicyScope: attributes.FilterPolicy ? attributes.FilterPolicyScope || 'MessageAttributes' : undefined,
+        rawMessageDelivery: attributes.RawMessageDelivery === 'true' ? true : undefined,
+        pendingConfirmation: isSubscriptionArn(subscription.SubscriptionArn) ? undefined : true
+      },
+      ...fromApi('sns:ListSubscriptionsByTopic')
+    });
+  });
+}
+
+// Topics come from every earlier phase (env vars, triggers, code), so this runs once the rest of the graph is known.
+async function discoverTopicSubscriptions(builder, accounts, warnings, { concurrency, reportProgress = () => {} } = {}) {
+  const accountsById = new Map(accounts.map((account) => [account.accountId, account]));
+  const topics = builder.nodes.filter((node) => {
+    const parsed = parseArn(node.id);
+    return parsed?.service === 'sns' && parsed.resource && !parsed.resource.includes(':');
+  });
+  const reachable = topics.filter((topic) => accountsById.has(parseArn(topic.id).accountId));
+
+  let completed = 0;
+  const collected = await mapWithConcurrency(reachable, concurrency, async (topic) => {
+    const result = await collectTopicSubscriptions(topic.id, accountsById.get(parseArn(topic.id).accountId));
+    completed += 1;
+    reportProgress({
+      phase: 'topicSubscriptions',
+      message: `Listed ${result.subscriptions.length} subscription(s) for ${topic.label}.`,
+      counts: { completed, total: reachable.length },
+      warnings: result.warnings
+    });
+    return result;
+  });
+
+  const edgesBefore = builder.edges.length;
+  reachable.forEach((topic, index) => {
+    warnings.push(...collected[index].warnings);
+    const parsed = parseArn(topic.id);
+    addTopicSubscriptionRelations(builder, topic.id, collected[index].subscriptions, { region: parsed.region, accountId: parsed.accountId });
+  });
+
+  return {
+    topics: reachable.length,
+    skipped: topics.length - reachable.length,
+    subscriptionEdges: builder.edges.length - edgesBefore
+  };
+}
+
+async function listAllRolePolicyNames(iamClient, roleName) {
+  const names = [];
+  let marker;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const response = await iamClient.send(new ListRolePoliciesCommand({ RoleName: roleName, Marker: marker }));
+    names.push(...(response.PolicyNames || []));
+    marker = response.IsTruncated ? response.Marker : undefined;
+  } while (marker);
+  return names;
+}
+
+async function listAllAttachedRolePolicies(iamClient, roleName) {
+  const policies = [];
+  let marker;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const response = await iamClient.send(new ListAttachedRolePoliciesCommand({ RoleName: roleName, Marker: marker }));
+    policies.push(...(response.AttachedPolicies || []));
+    marker = response.IsTruncated ? response.Marker : undefined;
+  } while (marker);
+  return policies;
+}
+
+// IAM returns policy documents URL-encoded.
+function parsePolicyDocument(document) {
+  if (!document) {
+    return null;
+  }
+  return JSON.parse(decodeURIComponent(document));
+}
+
+async function getManagedPolicyDocument(iamClient, policyArn) {
+  const { Policy: policy } = await iamClient.send(new GetManagedPolicyCommand({ PolicyArn: policyArn }));
+  if (!policy?.DefaultVersionId) {
+    return null;
+  }
+  const { PolicyVersion: version } = await iamClient.send(new GetPolicyVersionCommand({ PolicyArn: policyArn, VersionId: policy.DefaultVersionId }));
+  return parsePolicyDocument(version?.Document);
+}
+
+// Managed policies are shared by many roles, so each account fetches every policy document once.
+async function collectRolePolicies(role, managedPolicies) {
+  const iamClient = role.account.createClient(IAMClient, role.region);
+  const roleName = parseArn(role.arn)?.resourceId;
+  const policies = [];
+  const warnings = [];
+
+  try {
+    const names = await listAllRolePolicyNames(iamClient, roleName);
+    for (const policyName of names) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const response = await iamClient.send(new GetRolePolicyCommand({ RoleName: roleName, PolicyName: policyName }));
+        policies.push({ name: policyName, api: 'iam:GetRolePolicy', document: parsePolicyDocument(response.PolicyDocument) });
+      } catch (error) {
+        warnings.push(`Failed to read inline policy ${policyName} of role ${roleName}: ${error?.message || error}`);
+      }
+    }
+  } catch (error) {
+    warnings.push(`Failed to read inline policies of role ${roleName}: ${error?.message || error}`);
+  }
+
+  try {
+    const attached = await listAllAttachedRolePolicies(iamClient, roleName);
+    for (const { PolicyArn: policyArn, PolicyName: policyName } of attached) {
+      if (!managedPolicies.has(policyArn)) {
+        managedPolicies.set(policyArn, getManagedPolicyDocument(iamClient, policyArn));
+      }
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const document = await managedPolicies.get(policyArn);
+        policies.push({ name: policyName || policyArn, api: 'iam:GetPolicyVersion', document });
+      } catch (error) {
+        warnings.push(`Failed to read managed policy ${policyArn} attached to role ${roleName}: ${error?.message || error}`);
+      }
+    }
+  } catch (error) {
+    warnings.push(`Failed to list managed policies of role ${roleName}: ${error?.message || error}`);
+  }
+
+  return { policies, warnings };
+}
+
+const ACCESS_LEVELS = ['read', 'write', 'admin'];
+const READ_ACTION_PATTERN = /^(Get|List|Describe|Read|Receive|Query|Scan|BatchGet|Head|Select|Lookup|Search|Filter|Download|View)/i;
+const ADMIN_ACTION_PATTERN = /Policy|Permission|Acl$|^(Tag|Untag|Attach|Detach|Pass)|^(Create|Delete)(Bucket|Table|Queue|Topic|Stream|Function|StateMachine|EventBus|Key|Role|User)$/i;
+
+function classifyAction(action) {
+  const [, name = action] = String(action).split(':');
+  if (name === '*' || action === '*') {
+    return 'admin';
+  }
+  if (READ_ACTION_PATTERN.test(name)) {
+    return 'read';
+  }
+  return ADMIN_ACTION_PATTERN.test(name) ? 'admin' : 'write';
+}
+
+function highestAccess(actions) {
+  return actions.reduce((level, action) => {
+    const candidate = classifyAction(action);
+    return ACCESS_LEVELS.indexOf(candidate) > ACCESS_LEVELS.indexOf(level) ? candidate : level;
+  }, 'read');
+}
+
+// Sub-resources (objects, indexes, log streams) fold into the resource that owns them. Anything still
+// containing a wildcard or policy variable cannot be pinned to one node and is reported instead.
+function normalizePolicyResource(resource) {
+  const parsed = parseArn(resource);
+  if (!parsed) {
+    return null;
+  }
+  let arn = resource;
+  if (parsed.service === 's3') {
+    arn = `arn:${parsed.partition}:s3:::${parsed.resource.split('/')[0]}`;
+  } else if (parsed.service === 'dynamodb') {
+    arn = resource.replace(/\/(index|stream)\/.*$/, '');
+  } else if (parsed.service === 'logs') {
+    arn = /^(.*:log-group:[^:]+)/.exec(resource)?.[1] ?? resource;
+  } else if (parsed.service === 'lambda') {
+    arn = normalizeFunctionArn(resource);
+  }
+  return /[*?]|\$\{/.test(arn) ? null : arn;
+}
+
+// Actions and resources in policies are globs: "*" matches any run of characters and "?" exactly one.
+// Action names are case-insensitive.
+function policyPatternMatches(pattern, value, flags = '') {
+  const source = Array.from(String(pattern), (char) => {
+    if (char === '*') {
+      return '.*';
+    }
+    return char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${source}$`, flags).test(String(value));
+}
+
+// An explicit Deny overrides every Allow. Denies with a Condition only apply to some requests, so they are
+// left out rather than hiding a grant the role can still use the rest of the time.
+function collectDenyStatements(policies) {
+  return policies.flatMap(({ document }) => toArray(document?.Statement)
+    .filter((statement) => statement?.Effect === 'Deny' && !statement.Condition));
+}
+
+// `action` and `resource` come from an Allow statement and may be globs themselves; they only count as
+// denied when a Deny covers all of them (a Deny on s3:* removes s3:Get*, one on s3:GetObject does not).
+function isDenied(denies, action, resource) {
+  return denies.some((statement) => {
+    const actionDenied = statement.NotAction
+      ? !toArray(statement.NotAction).some((pattern) => policyPatternMatches(pattern, action, 'i'))
+      : toArray(statement.Action).some((pattern) => policyPatternMatches(pattern, action, 'i'));
+    if (!actionDenied) {
+      return false;
+    }
+    return statement.NotResource
+      ? !toArray(statement.NotResource).some((pattern) => policyPatternMatches(pattern, resource))
+      : toArray(statement.Resource).some((pattern) => policyPatternMatches(pattern, resource));
+  });
+}
+
+// A statement without Resource (NotResource) applies to every resource.
+function statementResources(statement) {
+  return statement.Resource ? toArray(statement.Resource).map(String) : ['*'];
+}
+
+function addRolePermissionRelations(builder, role, policies) {
+  const scope = { region: role.region, accountId: role.account.accountId };
+  const denies = collectDenyStatements(policies);
+  const grants = new Map();
+  const wildcards = [];
+
+  policies.forEach(({ name, api, document }) => {
+    toArray(document?.Statement).forEach((statement) => {
+      if (statement?.Effect !== 'Allow') {
+        return;
+      }
+      const actions = toArray(statement.Action).map(String);
+      // NotAction/NotResource grant everything outside a list, which is as broad as a wildcard.
+      if (statement.NotAction || statement.NotResource) {
+        wildcards.push({
+          roleArn: role.arn,
+          policy: name,
+          access: statement.NotAction ? 'admin' : highestAccess(actions),
+          actions: statement.NotAction ? toArray(statement.NotAction).map((action) => `NOT ${action}`) : actions,
+          resource: statement.NotResource ? toArray(statement.NotResource).map((resource) => `NOT ${resource}`).join(', ') : toArray(statement.Resource).join(', ')
+        });
+        return;
+      }
+      if (!actions.length) {
+        return;
+      }
+      toArray(statement.Resource).forEach((resource) => {
+        const allowed = actions.filter((action) => !isDenied(denies, action, resource));
+        if (!allowed.length) {
+          return;
+        }
+        const arn = normalizePolicyResource(resource);
+        if (!arn) {
+          wildcards.push({ roleArn: role.arn, policy: name, access: highestAccess(allowed), actions: allowed, resource });
+          return;
+        }
+        if (!grants.has(arn)) {
+          grants.set(arn, { actions: new Set(), policies: new Set(), apis: new Set() });
+        }
+        const grant = grants.get(arn);
+        allowed.forEach((action) => grant.actions.add(action));
+        grant.policies.add(name);
+        grant.apis.add(api);
+      });
+    });
+  });
+
+  const roleNode = describeArn(role.arn, scope);
+  builder.addNode({ ...roleNode, service: 'IAM', attributes: { kind: 'role', policies: policies.map((policy) => policy.name).join(', ') || undefined } });
+  grants.forEach(({ actions, policies: policyNames, apis }, arn) => {
+    const targetNode = describeArn(resolveTargetNodeId(builder, arn), scope);
+    builder.addNode(targetNode);
+    const actionList = Array.from(actions);
+    builder.addEdge({
+      source: roleNode.id,
+      target: targetNode.id,
+      type: 'canAccess',
+      metadata: {
+        access: highestAccess(actionList),
+        actions: actionList.join(', '),
+        policies: Array.from(policyNames).join(', ')
+      },
+      ...fromApi(Array.from(apis).join(', '))
+    });
+  });
+
+  return wildcards;
+}
+
+async function discoverRolePermissions(builder, scans, warnings, { concurrency, reportProgress = () => {} } = {}) {
+  const roles = new Map();
+  scans.forEach((scan) => {
+    scan.functions.forEach((fn) => {
+      if (fn?.Role && !roles.has(fn.Role)) {
+        roles.set(fn.Role, { arn: fn.Role, account: scan.account, region: scan.region });
+      }
+    });
+  });
+
+  const managedPoliciesByAccount = new Map();
+  const roleList = Array.from(roles.values());
+  let completed = 0;
+  const collected = await mapWithConcurrency(roleList, concurrency, async (role) => {
+    if (!managedPoliciesByAccount.has(role.account.accountId)) {
+      managedPoliciesByAccount.set(role.account.accountId, new Map());
+    }
+    const result = await collectRolePolicies(role, managedPoliciesByAccount.get(role.account.accountId));
+    completed += 1;
+    reportProgress({
+      phase: 'rolePolicies',
+      message: `Read ${result.policies.length} policy document(s) for ${parseArn(role.arn)?.resourceId || role.arn}.`,
+      counts: { completed, total: roleList.length },
+      warnings: result.warnings
+    });
+    return result;
+  });
+
+  const edgesBefore = builder.edges.length;
+  const wildcardPermissions = [];
+  const grantsByRole = new Map();
+  roleList.forEach((role, index) => {
+    warnings.push(...collected[index].warnings);
+    wildcardPermissions.push(...addRolePermissionRelations(builder, role, collected[index].policies));
+    grantsByRole.set(role.arn, summarizeRoleGrants(collected[index].policies));
+  });
+
+  return {
+    roles: roleList.length,
+    accessEdges: builder.edges.length - edgesBefore,
+    wildcardPermissions,
+    grantsByRole
+  };
+}
+
+// Services are named the way the graph names them (normalizeService), so action prefixes and code hints compare directly.
+// An action only counts while at least one of its statement's resources is not denied.
+function summarizeRoleGrants(policies) {
+  const denies = collectDenyStatements(policies);
+  const services = new Map();
+  let allServices = false;
+  policies.forEach(({ document }) => {
+    toArray(document?.Statement).forEach((statement) => {
+      if (statement?.Effect !== 'Allow') {
+        return;
+      }
+      if (statement.NotAction) {
+        allServices = true;
+        return;
+      }
+      const resources = statementResources(statement);
+      toArray(statement.Action).map(String).forEach((action) => {
+        if (resources.every((resource) => isDenied(denies, action, resource))) {
+          return;
+        }
+        if (action === '*') {
+          allServices = true;
+          return;
+        }
+        const service = normalizeService(action.split(':')[0]);
+        const access = classifyAction(action);
+        if (ACCESS_LEVELS.indexOf(access) > ACCESS_LEVELS.indexOf(services.get(service))) {
+          services.set(service, access);
+        }
+      });
+    });
+  });
+  return { services, allServices };
+}
+
+const CONFIGURATION_EDGE_TYPES = new Set(['dlq', 'onSuccess', 'onFailure', 'encryption', 'efs', 'subnet']);
+const CONFIGURATION_SERVICE_NAMES = { VPC: 'EC2' };
+
+// The Lambda service itself uses the execution role for logging, event source polling, destinations,
+// VPC networking and decryption, so those grants are needed even though no code calls them.
+function collectConfigurationServices(builder, scans) {
+  const servicesByFunction = new Map();
+  const record = (functionArn, nodeId) => {
+    const functionId = normalizeFunctionArn(functionArn);
+    const service = builder.nodeIndex.get(nodeId)?.service;
+    if (!functionId || !service) {
+      return;
+    }
+    if (!servicesByFunction.has(functionId)) {
+      servicesByFunction.set(functionId, new Set());
+    }
+    servicesByFunction.get(functionId).add(CONFIGURATION_SERVICE_NAMES[service] || service);
+  };
+
+  builder.edges.forEach((edge) => {
+    if (edge.type === 'eventSource') {
+      record(edge.target, edge.source);
+    } else if (CONFIGURATION_EDGE_TYPES.has(edge.type)) {
+      record(edge.metadata?.functionArn || edge.source, edge.target);
+    }
+  });
+
+  scans.forEach((scan) => {
+    scan.functions.forEach((fn) => {
+      const functionId = fn.FunctionArn || fn.FunctionName;
+      if (!servicesByFunction.has(functionId)) {
+        servicesByFunction.set(functionId, new Set());
+      }
+      servicesByFunction.get(functionId).add('CloudWatch');
+      if (fn.TracingConfig?.Mode === 'Active') {
+        servicesByFunction.get(functionId).add(normalizeService('xray'));
+      }
+    });
+  });
+
+  return servicesByFunction;
+}
+
+// Code analysis only recognizes some services, so unused grants for any other service are listed as unverified.
+const DETECTABLE_SERVICES = new Set(['Lambda', ...Object.keys(SERVICE_HINT_PATTERNS)]);
+
+function buildLeastPrivilegeReport(builder, scans, codeUsage, grantsByRole) {
+  const configurationServices = collectConfigurationServices(builder, scans);
+  return scans.flatMap((scan) => scan.functions.filter(Boolean).map((fn) => {
+    const functionId = fn.FunctionArn || fn.FunctionName;
+    const usage = codeUsage.get(functionId);
+    const grants = grantsByRole.get(fn.Role);
+    const required = configurationServices.get(functionId) || new Set();
+    const entry = {
+      functionId,
+      functionName: fn.FunctionName,
+      roleArn: fn.Role,
+      codeAnalyzed: Boolean(usage),
+      policiesRead: Boolean(grants),
+      usedServices: usage ? Array.from(usage.keys()).sort() : [],
+      grantedServices: grants ? [...(grants.allServices ? ['*'] : []), ...Array.from(grants.services.keys()).sort()] : [],
+      overPrivileged: [],
+      unverified: [],
+      missing: []
+    };
+    if (!usage || !grants) {
+      return entry;
+    }
+
+    if (grants.allServices) {
+      entry.overPrivileged.push({ service: '*', access: 'admin' });
+    }
+    grants.services.forEach((access, service) => {
+      if (usage.has(service) || required.has(service)) {
+        return;
+      }
+      (DETECTABLE_SERVICES.has(service) ? entry.overPrivileged : entry.unverified).push({ service, access });
+    });
+    if (!grants.allServices) {
+      usage.forEach((locations, service) => {
+        if (!grants.services.has(service)) {
+          entry.missing.push({ service, locations });
+        }
+      });
+    }
+    return entry;
+  }));
+}
+
+export async function buildAwsGraph(options = {}) {
+  const validationSteps = [];
+  const warnings = [];
+  const onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
+  let reportedWarningCount = 0;
+
+  // Progress events carry the warnings raised since the previous event unless the caller passes its own.
+  function reportProgress({ phase, status = 'running', message, counts = {}, warnings: eventWarnings }) {
+    if (!onProgress) {
+      return;
+    }
+    const newWarnings = eventWarnings ?? warnings.slice(reportedWarningCount);
+    if (!eventWarnings) {
+      reportedWarningCount = warnings.length;
+    }
+    try {
+      onProgress({ phase, status, message, counts, warnings: newWarnings });
+    } catch (error) {
+      // A failing listener must never abort discovery.
+    }
+  }
+
+  function recordStep(step) {
+    validationSteps.push(step);
+    reportProgress({ phase: step.action, status: step.status, message: step.message });
+  }
+
+  let fixtures;
+  try {
+    fixtures = options.fixtures !== undefined ? options.fixtures : createFixtureStore(resolveFixtureOptions());
+  } catch (error) {
+    return {
+      graph: { nodes: [], edges: [] },
+      validationSteps,
+      warnings,
+      error: error?.message || 'Invalid fixture configuration.'
+    };
+  }
+
+  if (fixtures) {
+    recordStep({
+      action: 'fixtures',
+      status: 'success',
+      message: fixtures.mode === 'replay'
+        ? `Replaying recorded AWS responses from ${fixtures.directory}.`
+        : `Recording AWS responses to ${fixtures.directory}.`
+    });
+  }
+
+  const region = resolveRegion();
+  const accountSources = options.accounts ?? resolveAccountSources();
+  const accounts = [];
+  let lastCredentialError = null;
+
+  for (const source of accountSources) {
+    const sourceLabel = describeAccountSource(source);
+    // eslint-disable-next-line no-await-in-loop
+    const credentialCheck = await validateCredentials(region, source, fixtures);
+
+    if (!credentialCheck.ok) {
+      lastCredentialError = credentialCheck.error?.message || 'Unable to resolve AWS credentials.';
+      recordStep({
+        action: 'authentication',
+        status: 'failure',
+        message: `${sourceLabel}: ${lastCredentialError}`.slice(0, 200)
+      });
+      // eslint-disable-next-line no-continue
+      continue;
+    }
+
+    const identity = credentialCheck.identity;
+    const accountId = identity?.Account;
+    if (accounts.some((account) => account.accountId === accountId)) {
+      warnings.push(`Skipping ${sourceLabel}: account ${accountId} is already being scanned.`);
+      // eslint-disable-next-line no-continue
+      continue;
+    }
+
+    recordStep({
+      action: 'authentication',
+      status: 'success',
+      message: `Authenticated as ${identity?.Arn ?? 'unknown principal'} in ${region} via ${sourceLabel}.`
+    });
+    accounts.push({
+      accountId,
+      sourceLabel,
+      fixtures,
+      createClient: createAccountClientFactory(fixtures, sourceLabel, credentialCheck.credentials)
+    });
+  }
+
+  if (accounts.length === 0) {
+    return {
+      graph: { nodes: [], edges: [] },
+      validationSteps,
+      warnings,
+      error: 'AWS credentials are missing or invalid. Please configure your ~/.aws credentials.'
+    };
+  }
+
+  reportProgress({
+    phase: 'authentication',
+    status: 'success',
+    message: `Authenticated ${accounts.length} account(s).`,
+    counts: { accounts: accounts.length }
+  });
+
+  const requestedRegions = options.regions ?? resolveRegions();
+  const builder = new GraphBuilder();
+  const scans = [];
+  let lastDiscoveryError = lastCredentialError;
+
+  for (const account of accounts) {
+    let regions;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      regions = await resolveDiscoveryRegions(requestedRegions, region, account);
+    } catch (error) {
+      lastDiscoveryError = error?.message || 'Unknown error while listing enabled regions.';
+      recordStep({
+        action: 'regionDiscovery',
+        status: 'failure',
+        message: `DescribeRegions failed for account ${account.accountId}: ${lastDiscoveryError}`.slice(0, 200)
+      });
+      // eslint-disable-next-line no-continue
+      continue;
+    }
+
+    for (const scanRegion of regions) {
+      const lambdaClient = account.createClient(LambdaClient, scanRegion);
+
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const functions = await listAllLambdaFunctions(lambdaClient);
+        scans.push({ account, accountId: account.accountId, region: scanRegion, lambdaClient, functions });
+        reportProgress({
+          phase: 'functionListing',
+          message: `Listed ${functions.length} Lambda function(s) in ${account.accountId}/${scanRegion}.`,
+          counts: { functions: functions.length, scannedRegions: scans.length }
+        });
+      } catch (error) {
+        lastDiscoveryError = error?.message || 'Unknown error while listing Lambda functions.';
+        recordStep({
+          action: 'resourceDiscovery',
+          status: 'failure',
+          message: `ListFunctions failed in ${account.accountId}/${scanRegion}: ${lastDiscoveryError}`.slice(0, 200)
+        });
+      }
+    }
+  }
+
+  if (scans.length === 0) {
+    return {
+      graph: { nodes: [], edges: [] },
+      validationSteps,
+      warnings,
+      error: `Failed to retrieve Lambda functions: ${lastDiscoveryError}`
+    };
+  }
+
+  const lambdaFunctions = scans.flatMap((scan) => scan.functions);
+
+  if (lambdaFunctions.length === 0) {
+    recordStep({
+      action: 'resourceDiscovery',
+      status: 'failure',
+      message: `No Lambda functions were found in ${scans.map((scan) => `${scan.accountId}/${scan.region}`).join(', ')}.`.slice(0, 200)
+    });
+
+    return {
+      graph: { nodes: [], edges: [] },
+      validationSteps,
+      warnings,
+      error: 'No Lambda functions were discovered. Please deploy at least one Lambda function.'
+    };
+  }
+
+  const concurrency = options.concurrency ?? resolveConcurrency();
+  const aliasNodes = options.aliasNodes ?? resolveAliasNodes();
+  const functionWork = scans.flatMap((scan) => scan.functions.map((fn) => ({ scan, fn })));
+  let mappedCount = 0;
+  const functionDetails = await mapWithConcurrency(functionWork, concurrency, async ({ scan, fn }) => {
+    const details = await collectFunctionDetails(fn, scan);
+    mappedCount += 1;
+    reportProgress({
+      phase: 'eventSourceMappings',
+      message: `Listed event source mappings and permissions for ${fn.FunctionName}.`,
+      counts: { completed: mappedCount, total: functionWork.length, mappings: details.mappings.length, permissions: details.policies.length },
+      warnings: details.warnings
+    });
+    return details;
+  });
+
+  functionWork.forEach(({ scan, fn }, index) => {
+    const details = functionDetails[index];
+    warnings.push(...details.warnings);
+    addLambdaFunctionNodes(builder, fn, scan, details, { aliasNodes });
+  });
+  functionWork.forEach(({ scan, fn }, index) => {
+    addLambdaFunctionRelations(builder, fn, scan, functionDetails[index]);
+  });
+  // Per-function warnings were already streamed with their progress events.
+  reportedWarningCount = warnings.length;
+
+  const triggerEdgeCounts = await discoverTriggerRelations(builder, scans, warnings, { concurrency, reportProgress });
+  reportedWarningCount = warnings.length;
+  recordStep({
+    action: 'triggerDiscovery',
+    status: 'success',
+    message: `Found ${Array.from(triggerEdgeCounts, ([label, count]) => `${count} link(s) from ${label}`).join(', ')}.`
+  });
+
+  // Recording and replaying must see every archive, so the persistent code cache only applies to live discovery.
+  const codeCacheOptions = fixtures ? null : resolveCodeCacheOptions();
+  const codeCache = options.codeCache !== undefined
+    ? options.codeCache
+    : createCodeArchiveCache(codeCacheOptions && { ...codeCacheOptions, version: CODE_EXTRACTOR_VERSION });
+  const codeIndex = [];
+  const invocationStats = await discoverLambdaInvocationRelations(builder, scans, warnings, { concurrency, codeCache, codeIndex, reportProgress });
+  reportedWarningCount = warnings.length;
+  if (invocationStats) {
+    const attemptCount = invocationStats.attempted ?? lambdaFunctions.length;
+    const status = attemptCount > 0 && invocationStats.failures === attemptCount ? 'failure' : 'success';
+    const messageParts = [`Analyzed ${invocationStats.scanned}/${attemptCount} Lambda code package(s)`];
+    if (invocationStats.cached) {
+      messageParts.push(`${invocationStats.cached} served from the code cache`);
+    }
+    messageParts.push(`found ${invocationStats.invocationEdges ?? 0} Lambda invocation link(s)`);
+    if (invocationStats.serviceEdges) {
+      messageParts.push(`found ${invocationStats.serviceEdges} service usage link(s)`);
+    }
+    if (invocationStats.failures) {
+      messageParts.push(`${invocationStats.failures} package(s) failed to analyze`);
+    }
+    recordStep({
+      action: 'codeAnalysis',
+      status,
+      message: `${messageParts.join('; ')}.`
+    });
+  }
+
+  const subscriptionStats = await discoverTopicSubscriptions(builder, accounts, warnings, { concurrency, reportProgress });
+  reportedWarningCount = warnings.length;
+  if (subscriptionStats.topics || subscriptionStats.skipped) {
+    recordStep({
+      action: 'topicSubscriptions',
+      status: 'success',
+      message: `Found ${subscriptionStats.subscriptionEdges} subscription(s) across ${subscriptionStats.topics} SNS topic(s)${subscriptionStats.skipped ? `; skipped ${subscriptionStats.skipped} topic(s) in accounts that are not scanned` : ''}.`
+    });
+  }
+
+  const roleStats = await discoverRolePermissions(builder, scans, warnings, { concurrency, reportProgress });
+  reportedWarningCount = warnings.length;
+  if (roleStats.roles) {
+    recordStep({
+      action: 'rolePolicies',
+      status: 'success',
+      message: `Found ${roleStats.accessEdges} resource access link(s) across ${roleStats.roles} execution role(s); ${roleStats.wildcardPermissions.length} wildcard grant(s) reported separately.`
+    });
+  }
+
+  const leastPrivilege = buildLeastPrivilegeReport(builder, scans, invocationStats.codeUsage, roleStats.grantsByRole);
+
+  const graph = builder.toGraph();
+  const relatedCount = Math.max(graph.nodes.length - lambdaFunctions.length, 0);
+  const scannedRegions = Array.from(new Set(scans.map((scan) => scan.region)));
+  const scannedAccounts = Array.from(new Set(scans.map((scan) => scan.accountId)));
+
+  recordStep({
+    action: 'resourceDiscovery',
+    status: 'success',
+    message: `Discovered ${lambdaFunctions.length} Lambda function(s) in ${scannedRegions.length} region(s) across ${scannedAccounts.length} account(s) and ${relatedCount} related resource(s).`
+  });
+
+  publishCodeSearchIndex(codeIndex);
+
+  return {
+    graph,
     validationSteps,
     warnings,
-    region
+    region,
+    regions: scannedRegions,
+    accounts: scannedAccounts,
+    wildcardPermissions: roleStats.wildcardPermissions,
+    leastPrivilege
   };
 }
 
-export { serviceColors, resolveRegion, searchCodeIndex, getCodeIndexStatus };
+export { serviceColors, resolveRegion, searchCodeIndex, readCodeEvidence, getCodeIndexStatus };
@@ -0,0 +1,125 @@
+import { mkdir, readdir, readFile, stat, unlink, utimes, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import { gunzip, gzip } from 'node:zlib';
+
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+const DEFAULT_CACHE_DIRECTORY = '.cache/code-archives';
+const DEFAULT_MAX_MEGABYTES = 512;
+const CACHE_FILE_SUFFIX = '.json.gz';
+
+// AWS_GRAPH_CODE_CACHE_DIR picks the cache directory; AWS_GRAPH_CODE_CACHE_MAX_MB caps its size (0 disables the cache).
+function resolveCodeCacheOptions() {
+  const configuredMegabytes = Number.parseInt(process.env.AWS_GRAPH_CODE_CACHE_MAX_MB ?? '', 10);
+  const maxMegabytes = Number.isFinite(configuredMegabytes) && configuredMegabytes >= 0 ? configuredMegabytes : DEFAULT_MAX_MEGABYTES;
+  if (maxMegabytes === 0) {
+    return null;
+  }
+  return {
+    directory: process.env.AWS_GRAPH_CODE_CACHE_DIR || DEFAULT_CACHE_DIRECTORY,
+    maxBytes: maxMegabytes * 1024 * 1024
+  };
+}
+
+// CodeSha256 is base64, which may contain "/" and "+"; hex keeps it filesystem-safe. The extractor version
+// is part of the name so entries extracted under other file filters or size limits are never read back.
+function cacheFileName(codeSha256, version) {
+  const key = Buffer.from(codeSha256, 'base64').toString('hex');
+  return `${version ? `${key}-${version}` : key}${CACHE_FILE_SUFFIX}`;
+}
+
+function createCodeArchiveCache(options) {
+  if (!options) {
+    return null;
+  }
+
+  const directory = path.resolve(options.directory || DEFAULT_CACHE_DIRECTORY);
+  const maxBytes = options.maxBytes ?? DEFAULT_MAX_MEGABYTES * 1024 * 1024;
+  const version = options.version ?? null;
+  let evicting = null;
+
+  async function listCacheFiles() {
+    let names;
+    try {
+      names = await readdir(directory);
+    } catch (error) {
+      return [];
+    }
+    const files = await Promise.all(names
+      .filter((name) => name.endsWith(CACHE_FILE_SUFFIX))
+      .map(async (name) => {
+        const filePath = path.join(directory, name);
+        try {
+          const info = await stat(filePath);
+          return { filePath, size: info.size, lastUsed: info.mtimeMs };
+        } catch (error) {
+          return null;
+        }
+      }));
+    return files.filter(Boolean);
+  }
+
+  // Least recently used entries go first; reads touch the file's mtime.
+  async function evictToLimit() {
+    const files = await listCacheFiles();
+    let totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+    if (totalBytes <= maxBytes) {
+      return;
+    }
+    files.sort((a, b) => a.lastUsed - b.lastUsed);
+    for (const file of files) {
+      if (totalBytes <= maxBytes) {
+        break;
+      }
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await unlink(file.filePath);
+      } catch (error) {
+        // Another eviction pass may already have removed it.
+      }
+      totalBytes -= file.size;
+    }
+  }
+
+  return {
+    directory,
+    async get(codeSha256) {
+      if (!codeSha256) {
+        return null;
+      }
+      const filePath = path.join(directory, cacheFileName(codeSha256, version));
+      try {
+        const payload = JSON.parse((await gunzipAsync(await readFile(filePath))).toString('utf8'));
+        if (payload?.codeSha256 !== codeSha256 || (payload.version ?? null) !== version || !Array.isArray(payload.entries)) {
+          return null;
+        }
+        const now = new Date();
+        await utimes(filePath, now, now).catch(() => {});
+        return payload.entries;
+      } catch (error) {
+        return null;
+      }
+    },
+    async set(codeSha256, entries) {
+      if (!codeSha256 || !Array.isArray(entries)) {
+        return;
+      }
+      const compressed = await gzipAsync(Buffer.from(JSON.stringify({ codeSha256, version, entries })));
+      if (compressed.length > maxBytes) {
+        return;
+      }
+      await mkdir(directory, { recursive: true });
+      await writeFile(path.join(directory, cacheFileName(codeSha256, version)), compressed);
+      if (!evicting) {
+        evicting = evictToLimit().finally(() => {
+          evicting = null;
+        });
+      }
+      await evicting;
+    }
+  };
+}
+
+export { createCodeArchiveCache, resolveCodeCacheOptions };
@@ -0,0 +1,58 @@
+const DEFAULT_CONCURRENCY = 8;
+
+// AWS_GRAPH_CONCURRENCY bounds how many functions are inspected at once.
+function resolveConcurrency() {
+  const configured = Number.parseInt(process.env.AWS_GRAPH_CONCURRENCY ?? '', 10);
+  return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_CONCURRENCY;
+}
+
+// Runs `worker` over `items` with at most `limit` calls in flight. Results keep the input order,
+// so callers can fold them into the graph exactly as a sequential loop would.
+async function mapWithConcurrency(items, limit, worker) {
+  const list = Array.from(items ?? []);
+  const results = new Array(list.length);
+  const workerCount = Math.max(1, Math.min(Number(limit) || 1, list.length));
+  let nextIndex = 0;
+
+  async function runWorker() {
+    while (nextIndex < list.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      // eslint-disable-next-line no-await-in-loop
+      results[index] = await worker(list[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, () => runWorker()));
+  return results;
+}
+
+// Like mapWithConcurrency, but hands each result to `consume` in input order as soon as every earlier
+// one has been consumed, then lets go of it. Only results that finished ahead of a slower earlier item
+// are held, so large results (extracted code packages) never pile up for the whole run.
+async function consumeWithConcurrency(items, limit, worker, consume) {
+  const list = Array.from(items ?? []);
+  const slots = new Array(list.length);
+  const workerCount = Math.max(1, Math.min(Number(limit) || 1, list.length));
+  let nextIndex = 0;
+  let cursor = 0;
+
+  async function runWorker() {
+    while (nextIndex < list.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      // eslint-disable-next-line no-await-in-loop
+      slots[index] = { result: await worker(list[index], index) };
+      while (cursor < list.length && slots[cursor]) {
+        const { result } = slots[cursor];
+        slots[cursor] = null;
+        consume(result, list[cursor], cursor);
+        cursor += 1;
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, () => runWorker()));
+}
+
+export { consumeWithConcurrency, mapWithConcurrency, resolveConcurrency };
@@ -0,0 +1,143 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const FIXTURE_MODES = new Set(['record', 'replay']);
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => stableStringify(item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function hashKey(value) {
+  return createHash('sha256').update(value).digest('hex').slice(0, 20);
+}
+
+function sanitizeSegment(value) {
+  return String(value || 'unknown').replace(/[^A-Za-z0-9_.-]+/g, '_');
+}
+
+// AWS_GRAPH_FIXTURE_MODE=record|replay switches the layer on; AWS_GRAPH_FIXTURE_DIR picks the directory.
+function resolveFixtureOptions() {
+  const mode = (process.env.AWS_GRAPH_FIXTURE_MODE || '').trim().toLowerCase();
+  if (!mode) {
+    return null;
+  }
+  return {
+    mode,
+    directory: process.env.AWS_GRAPH_FIXTURE_DIR || 'fixtures'
+  };
+}
+
+function createFixtureStore(options) {
+  if (!options) {
+    return null;
+  }
+
+  const mode = String(options.mode || '').toLowerCase();
+  if (!FIXTURE_MODES.has(mode)) {
+    throw new Error(`Unsupported fixture mode "${options.mode}". Use "record" or "replay".`);
+  }
+
+  const directory = path.resolve(options.directory || 'fixtures');
+  const responsesDirectory = path.join(directory, 'responses');
+  const archivesDirectory = path.join(directory, 'archives');
+
+  function responsePath(namespace, command) {
+    const commandName = command?.constructor?.name || 'Command';
+    const key = stableStringify({ namespace, command: commandName, input: command?.input ?? {} });
+    return {
+      commandName,
+      filePath: path.join(responsesDirectory, `${sanitizeSegment(commandName)}-${hashKey(key)}.json`)
+    };
+  }
+
+  function archivePath(key) {
+    return path.join(archivesDirectory, `${hashKey(String(key))}.zip`);
+  }
+
+  async function writeJson(filePath, payload) {
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFile(filePath, `${JSON.stringify(payload, null, 2)}\n`);
+  }
+
+  async function replayResponse(namespace, command) {
+    const { commandName, filePath } = responsePath(namespace, command);
+    let recorded;
+    try {
+      recorded = JSON.parse(await readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`No recorded response for ${commandName} (${path.basename(filePath)}): ${error?.message || error}`);
+    }
+    if (recorded.error) {
+      const replayedError = new Error(recorded.error.message || `${commandName} failed`);
+      replayedError.name = recorded.error.name || 'Error';
+      if (recorded.error.httpStatusCode) {
+        replayedError.$metadata = { httpStatusCode: recorded.error.httpStatusCode };
+      }
+      throw replayedError;
+    }
+    return recorded.response;
+  }
+
+  async function recordResponse(client, namespace, command) {
+    const { commandName, filePath } = responsePath(namespace, command);
+    const base = { namespace, command: commandName, input: command?.input ?? {} };
+    let response;
+    try {
+      response = await client.send(command);
+    } catch (error) {
+      await writeJson(filePath, {
+        ...base,
+        error: {
+          name: error?.name,
+          message: error?.message || String(error),
+          httpStatusCode: error?.$metadata?.httpStatusCode
+        }
+      });
+      throw error;
+    }
+    // Kept out of the try above: a failed write must not be recorded as a failed AWS call.
+    await writeJson(filePath, { ...base, response });
+    return response;
+  }
+
+  return {
+    mode,
+    directory,
+    wrapClient(client, namespace) {
+      return {
+        config: client.config,
+        send(command) {
+          return mode === 'replay'
+            ? replayResponse(namespace, command)
+            : recordResponse(client, namespace, command);
+        }
+      };
+    },
+    async loadArchive(key) {
+      const filePath = archivePath(key);
+      try {
+        return await readFile(filePath);
+      } catch (error) {
+        throw new Error(`No recorded code archive for ${key} (${path.basename(filePath)})`);
+      }
+    },
+    async saveArchive(key, buffer) {
+      const filePath = archivePath(key);
+      await mkdir(path.dirname(filePath), { recursive: true });
+      await writeFile(filePath, buffer);
+    }
+  };
+}
+
+export { createFixtureStore, resolveFixtureOptions };
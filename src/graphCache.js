@@ -0,0 +1,109 @@
+const DEFAULT_TTL_SECONDS = 300;
+
+// AWS_GRAPH_CACHE_TTL_SECONDS controls how long a discovery result is served before it is rebuilt (0 disables reuse).
+function resolveCacheTtlMs() {
+  const configured = Number.parseInt(process.env.AWS_GRAPH_CACHE_TTL_SECONDS ?? '', 10);
+  const seconds = Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_TTL_SECONDS;
+  return seconds * 1000;
+}
+
+function createGraphCache({ build, ttlMs = resolveCacheTtlMs() }) {
+  let cached = null;
+  let latest = null;
+  let lastCompletion = null;
+  let inFlight = null;
+  let progressHistory = [];
+  const listeners = new Set();
+
+  function isFresh() {
+    return Boolean(cached) && Date.now() - cached.storedAt < ttlMs;
+  }
+
+  function emit(event) {
+    listeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (error) {
+        // Listener failures (e.g. a closed response) must not affect discovery.
+      }
+    });
+  }
+
+  function complete(event) {
+    lastCompletion = event;
+    emit(event);
+  }
+
+  function recordProgress(event) {
+    progressHistory.push(event);
+    emit(event);
+  }
+
+  // Every caller that arrives while a discovery is running shares the same promise.
+  function runDiscovery() {
+    if (!inFlight) {
+      progressHistory = [];
+      inFlight = Promise.resolve()
+        .then(() => build(recordProgress))
+        .then((result) => {
+          const entry = {
+            result: { ...result, discoveredAt: new Date().toISOString() },
+            storedAt: Date.now()
+          };
+          latest = entry.result;
+          // Failed discoveries are returned but not kept, so fixing credentials takes effect on the next request.
+          if (!result?.error) {
+            cached = entry;
+          }
+          complete({ phase: 'complete', status: result?.error ? 'failure' : 'success', discoveredAt: latest.discoveredAt, error: result?.error ?? null });
+          return entry.result;
+        }, (error) => {
+          complete({ phase: 'complete', status: 'failure', discoveredAt: null, error: error?.message || String(error) });
+          throw error;
+        })
+        .finally(() => {
+          inFlight = null;
+        });
+    }
+    return inFlight;
+  }
+
+  return {
+    get() {
+      if (isFresh()) {
+        return Promise.resolve(cached.result);
+      }
+      return runDiscovery();
+    },
+    refresh() {
+      return runDiscovery();
+    },
+    latest() {
+      return latest;
+    },
+    // The `complete` event of the last discovery that finished, including ones that threw.
+    lastCompletion() {
+      return lastCompletion;
+    },
+    // Late subscribers first receive the events already emitted by the running discovery.
+    subscribe(listener) {
+      if (inFlight) {
+        progressHistory.forEach((event) => listener(event));
+      }
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+    status() {
+      return {
+        discoveredAt: cached?.result.discoveredAt ?? null,
+        ttlSeconds: Math.round(ttlMs / 1000),
+        fresh: isFresh(),
+        refreshing: Boolean(inFlight)
+      };
+    }
+  };
+}
+
+export { createGraphCache, resolveCacheTtlMs };
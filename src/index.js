@@ -1,8 +1,11 @@
 import http from 'node:http';
-import { buildAwsGraph, serviceColors, resolveRegion, searchCodeIndex, getCodeIndexStatus } from './awsDiscovery.js';
+import { buildAwsGraph, serviceColors, resolveRegion, searchCodeIndex, readCodeEvidence, getCodeIndexStatus } from './awsDiscovery.js';
+import { createGraphCache } from './graphCache.js';
 
 const PORT = process.env.PORT || 3000;
 
+const graphCache = createGraphCache({ build: (onProgress) => buildAwsGraph({ onProgress }) });
+
 function escapeHtml(value) {
   return String(value ?? '')
     .replace(/&/g, '&amp;')
@@ -41,19 +44,264 @@ function renderWarnings(warnings = []) {
   return `<div id="warnings"><h2>Warnings</h2><ul>${items}</ul></div>`;
 }
 
+// Grants whose resource is a wildcard would connect a role to everything, so they are listed instead of drawn.
+function renderWildcardPermissions(wildcardPermissions = []) {
+  if (!wildcardPermissions.length) {
+    return '';
+  }
+
+  const rows = wildcardPermissions.map((grant) => `<tr>
+          <td>${escapeHtml(grant.roleArn)}</td>
+          <td>${escapeHtml(grant.policy)}</td>
+          <td>${escapeHtml(grant.access)}</td>
+          <td>${escapeHtml(grant.actions.join(', '))}</td>
+          <td>${escapeHtml(grant.resource)}</td>
+        </tr>`).join('');
+  return `<section id="wildcard-permissions">
+        <header><h2>Wildcard permissions</h2></header>
+        <p class="meta">Execution role statements that do not name a concrete resource.</p>
+        <table>
+          <thead><tr><th>Role</th><th>Policy</th><th>Access</th><th>Actions</th><th>Resource</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </section>`;
+}
+
+function describeGrants(grants) {
+  return grants.map((grant) => `${grant.service} (${grant.access})`).join(', ');
+}
+
+// Only functions with something to review are listed; the full report is served at /least-privilege.
+function renderLeastPrivilegeReport(leastPrivilege = []) {
+  const rows = leastPrivilege
+    .filter((entry) => !entry.codeAnalyzed || !entry.policiesRead || entry.overPrivileged.length || entry.missing.length || entry.unverified.length)
+    .map((entry) => {
+      const notes = [
+        entry.codeAnalyzed ? '' : 'Code was not analyzed.',
+        entry.policiesRead ? '' : 'Role policies could not be read.'
+      ].filter(Boolean).join(' ');
+      const missing = entry.missing
+        .map((item) => `${item.service}${item.locations?.length ? ` (${item.locations.map((location) => `${location.path}:${location.line}`).join(', ')})` : ''}`)
+        .join(', ');
+      return `<tr>
+          <td title="${escapeHtml(entry.roleArn || '')}">${escapeHtml(entry.functionName || entry.functionId)}</td>
+          <td>${escapeHtml(describeGrants(entry.overPrivileged))}</td>
+          <td>${escapeHtml(missing)}</td>
+          <td>${escapeHtml(describeGrants(entry.unverified))}</td>
+          <td>${escapeHtml(notes)}</td>
+        </tr>`;
+    });
+  if (!rows.length) {
+    return '';
+  }
+
+  return `<section id="least-privilege">
+        <header><h2>Least privilege</h2><a href="/least-privilege">JSON</a></header>
+        <p class="meta">Services each execution role grants compared with the services found in the function's code. Grants needed by the function's own configuration (logging, event sources, destinations, VPC, encryption) are not flagged.</p>
+        <table>
+          <thead><tr><th>Function</th><th>Granted but unused</th><th>Used but not granted</th><th>Granted, usage not detectable</th><th>Notes</th></tr></thead>
+          <tbody>${rows.join('')}</tbody>
+        </table>
+      </section>`;
+}
+
+function buildProgressPage() {
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>AWS Service Graph</title>
+    <style>
+      :root { color-scheme: light; }
+      * { box-sizing: border-box; }
+      body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; background: #f5f5f5; color: #222; margin: 0; }
+      main { display: flex; flex-direction: column; gap: 1rem; padding: 1.75rem; max-width: 960px; }
+      h1 { margin: 0 0 0.5rem 0; }
+      .meta { margin: 0.25rem 0 1rem 0; color: #555; }
+      section { background: rgba(255,255,255,0.92); border-radius: 8px; padding: 1rem 1.25rem; box-shadow: 0 1px 2px rgba(0,0,0,0.05); }
+      section h2 { margin: 0 0 0.5rem 0; font-size: 1.125rem; }
+      .validation { list-style: none; padding: 0; margin: 0; display: grid; gap: 0.25rem; }
+      .validation li { padding: 0.5rem 0.75rem; border-radius: 4px; background: #fff; border-left: 4px solid #2e73b8; }
+      .validation li.ok { border-color: #2e8540; }
+      .validation li.fail { border-color: #c00; }
+      .validation progress { width: 100%; margin-top: 0.35rem; }
+      #progress-warnings { background: #fff8e6; border: 1px solid #f4c542; padding: 1rem; }
+      #progress-warnings[hidden] { display: none; }
+      #progress-warnings ul { margin: 0; padding-left: 1.5rem; }
+    </style>
+  </head>
+  <body>
+    <main>
+      <header>
+        <h1>AWS Service Graph</h1>
+        <p class="meta" id="progress-status">Discovering resources…</p>
+      </header>
+      <section>
+        <h2>Discovery progress</h2>
+        <ul class="validation" id="progress-phases"></ul>
+      </section>
+      <div id="progress-warnings" hidden><h2>Warnings</h2><ul></ul></div>
+    </main>
+    <script>
+      (function () {
+        const phaseLabels = {
+          fixtures: 'Fixtures',
+          authentication: 'Authentication',
+          regionDiscovery: 'Region discovery',
+          functionListing: 'Function listing',
+          resourceDiscovery: 'Resource discovery',
+          eventSourceMappings: 'Event source mappings & permissions',
+          triggerDiscovery: 'Triggers',
+          codeAnalysis: 'Code analysis',
+          topicSubscriptions: 'SNS subscriptions',
+          rolePolicies: 'IAM role policies'
+        };
+        const phaseList = document.getElementById('progress-phases');
+        const warningsBox = document.getElementById('progress-warnings');
+        const warningsList = warningsBox.querySelector('ul');
+        const statusElement = document.getElementById('progress-status');
+        const phaseElements = new Map();
+
+        function describeCounts(counts) {
+          if (!counts) {
+            return '';
+          }
+          if (Number.isFinite(counts.completed) && Number.isFinite(counts.total)) {
+            return counts.completed + '/' + counts.total;
+          }
+          return Object.keys(counts)
+            .map((key) => key + ': ' + counts[key])
+            .join(', ');
+        }
+
+        function renderPhase(event) {
+          let element = phaseElements.get(event.phase);
+          if (!element) {
+            element = document.createElement('li');
+            phaseElements.set(event.phase, element);
+            phaseList.appendChild(element);
+          }
+          element.className = event.status === 'success' ? 'ok' : event.status === 'failure' ? 'fail' : '';
+          element.textContent = '';
+          const title = document.createElement('strong');
+          title.textContent = (phaseLabels[event.phase] || event.phase) + ': ';
+          element.appendChild(title);
+          const countsText = describeCounts(event.counts);
+          element.appendChild(document.createTextNode((event.message || '') + (countsText ? ' (' + countsText + ')' : '')));
+          if (Number.isFinite(event.counts?.completed) && Number.isFinite(event.counts?.total)) {
+            const bar = document.createElement('progress');
+            bar.max = event.counts.total || 1;
+            bar.value = event.counts.completed;
+            element.appendChild(bar);
+          }
+        }
+
+        function renderWarnings(warnings) {
+          if (!Array.isArray(warnings) || !warnings.length) {
+            return;
+          }
+          warningsBox.hidden = false;
+          warnings.forEach((warning) => {
+            const item = document.createElement('li');
+            item.textContent = warning;
+            warningsList.appendChild(item);
+          });
+        }
+
+        const source = new EventSource('/events');
+        source.addEventListener('progress', (message) => {
+          const event = JSON.parse(message.data);
+          renderPhase(event);
+          renderWarnings(event.warnings);
+        });
+        source.addEventListener('complete', (message) => {
+          const event = JSON.parse(message.data);
+          source.close();
+          // A discovery that threw has no result to show; redirecting would only start another one.
+          if (!event.discoveredAt) {
+            statusElement.textContent = 'Discovery failed: ' + (event.error || 'Unknown error') + '. Reload the page to try again.';
+            return;
+          }
+          statusElement.textContent = event.error ? 'Discovery failed: ' + event.error : 'Discovery finished. Loading graph…';
+          window.location.replace('/?latest=1');
+        });
+        source.onerror = () => {
+          statusElement.textContent = 'Lost connection to the server; retrying…';
+        };
+      })();
+    </script>
+  </body>
+</html>`;
+}
+
+function handleProgressStream(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  function send(event) {
+    const eventName = event.phase === 'complete' ? 'complete' : 'progress';
+    res.write(`event: ${eventName}\ndata: ${JSON.stringify(event)}\n\n`);
+  }
+
+  const status = graphCache.status();
+  if (status.fresh && !status.refreshing) {
+    send({ phase: 'complete', status: 'success', discoveredAt: status.discoveredAt, error: null });
+    res.end();
+    return;
+  }
+  // The discovery the page started may already have failed before this stream connected; report that
+  // failure instead of starting another discovery.
+  const lastCompletion = graphCache.lastCompletion();
+  if (!status.refreshing && lastCompletion?.status === 'failure') {
+    send(lastCompletion);
+    res.end();
+    return;
+  }
+
+  let unsubscribe = () => {};
+  unsubscribe = graphCache.subscribe((event) => {
+    send(event);
+    if (event.phase === 'complete') {
+      unsubscribe();
+      res.end();
+    }
+  });
+  req.on('close', () => unsubscribe());
+
+  graphCache.get().catch(() => {});
+}
+
 function buildHtmlPage({
   graph,
   validationSteps,
   error,
   warnings,
+  wildcardPermissions,
+  leastPrivilege,
+  regions,
+  accounts,
+  discoveredAt,
   serviceColorsMap,
   codeSearchStatus
 }) {
   const graphJsonEscaped = escapeHtml(JSON.stringify(graph, null, 2));
   const validationHtml = renderValidationList(validationSteps);
   const warningsHtml = renderWarnings(warnings);
+  const wildcardPermissionsHtml = renderWildcardPermissions(wildcardPermissions);
+  const leastPrivilegeHtml = renderLeastPrivilegeReport(leastPrivilege);
   const errorHtml = error ? `<div id="error">${escapeHtml(error)}</div>` : '';
-  const regionInfo = escapeHtml(resolveRegion());
+  const scannedRegions = Array.isArray(regions) && regions.length ? regions : [resolveRegion()];
+  const regionLabel = scannedRegions.length > 1 ? 'Regions' : 'Region';
+  const regionInfo = escapeHtml(scannedRegions.join(', '));
+  const accountInfo = Array.isArray(accounts) && accounts.length
+    ? ` • ${accounts.length > 1 ? 'Accounts' : 'Account'}: ${escapeHtml(accounts.join(', '))}`
+    : '';
+  const discoveredInfo = discoveredAt
+    ? `<p class="meta">Last discovered at <time datetime="${escapeHtml(discoveredAt)}">${escapeHtml(discoveredAt)}</time></p>`
+    : '';
   const scriptGraph = serializeForScript(graph);
   const scriptColors = serializeForScript(serviceColorsMap);
   const scriptCodeSearchStatus = serializeForScript(codeSearchStatus || { ready: false, indexedFiles: 0, lastIndexedAt: null });
@@ -74,6 +322,8 @@ function buildHtmlPage({
       #error { background: #ffefef; border: 1px solid #e78; padding: 1rem; font-weight: bold; color: #a00; }
       #warnings { background: #fff8e6; border: 1px solid #f4c542; padding: 1rem; }
       #warnings ul { margin: 0; padding-left: 1.5rem; }
+      #wildcard-permissions table, #least-privilege table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+      #wildcard-permissions th, #wildcard-permissions td, #least-privilege th, #least-privilege td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e2e2e2; vertical-align: top; overflow-wrap: anywhere; }
       .validation { list-style: none; padding: 0; margin: 0; display: grid; gap: 0.25rem; }
       .validation li { padding: 0.5rem 0.75rem; border-radius: 4px; background: #fff; border-left: 4px solid transparent; }
       .validation li.ok { border-color: #2e8540; }
@@ -87,6 +337,9 @@ function buildHtmlPage({
       section#json pre { background: #111; color: #f5f5f5; padding: 1rem; border-radius: 8px; margin: 0; overflow-x: auto; max-height: 240px; font-size: 0.85rem; }
       footer { padding: 1rem 1.75rem; font-size: 0.85rem; color: #555; }
       .meta { margin: 0.25rem 0 1rem 0; color: #555; }
+      main > header { display: flex; align-items: flex-start; justify-content: space-between; gap: 1rem; }
+      #refresh-graph { padding: 8px 12px; border-radius: 6px; border: 1px solid #2e73b8; background: #fff; color: #2e73b8; cursor: pointer; font-weight: 600; }
+      #refresh-graph:disabled { opacity: 0.6; cursor: not-allowed; }
       #code-search form { display: flex; gap: 0.5rem; flex-wrap: wrap; align-items: center; }
       #code-search input[type="search"] { flex: 1; min-width: 240px; padding: 8px 10px; border-radius: 6px; border: 1px solid #c8c8c8; font-size: 14px; }
       #code-search button { padding: 8px 12px; border-radius: 6px; border: 1px solid #2e73b8; background: #2e73b8; color: #fff; cursor: pointer; font-weight: 600; }
@@ -106,8 +359,10 @@ function buildHtmlPage({
       <header>
         <div>
           <h1>AWS Service Graph</h1>
-          <p class="meta">Region: ${regionInfo}</p>
+          <p class="meta">${regionLabel}: ${regionInfo}${accountInfo}</p>
+          ${discoveredInfo}
         </div>
+        <button id="refresh-graph" type="button">Refresh</button>
       </header>
       ${errorHtml}
       ${warningsHtml}
@@ -115,6 +370,8 @@ function buildHtmlPage({
         <header><h2>Validation</h2></header>
         ${validationHtml}
       </section>
+      ${leastPrivilegeHtml}
+      ${wildcardPermissionsHtml}
       <section id="code-search">
         <header><h2>Code Search</h2></header>
         <p class="meta">Search downloaded Lambda source files (shows 2 lines of context around each hit).</p>
@@ -207,21 +464,22 @@ function buildHtmlPage({
           if (typeof nodeId !== 'string' || !nodeId) {
             return null;
           }
+          const region = node.region || awsRegion;
 
           if (nodeId.startsWith('subnet:')) {
             const subnetId = nodeId.slice('subnet:'.length);
-            return \`https://console.aws.amazon.com/vpc/home?region=\${awsRegion}#SubnetDetails:subnetId=\${encodeURIComponent(subnetId)}\`;
+            return \`https://console.aws.amazon.com/vpc/home?region=\${region}#SubnetDetails:subnetId=\${encodeURIComponent(subnetId)}\`;
           }
 
           if (nodeId.startsWith('sg:')) {
             const groupId = nodeId.slice('sg:'.length);
-            return \`https://console.aws.amazon.com/vpc/home?region=\${awsRegion}#SecurityGroup:groupId=\${encodeURIComponent(groupId)}\`;
+            return \`https://console.aws.amazon.com/vpc/home?region=\${region}#SecurityGroup:groupId=\${encodeURIComponent(groupId)}\`;
           }
 
           const parsed = parseArn(nodeId);
           if (!parsed) {
             if ((node.service || '').toLowerCase() === 'lambda') {
-              return \`https://console.aws.amazon.com/lambda/home?region=\${awsRegion}#/functions/\${encodeURIComponent(nodeId)}?tab=monitoring\`;
+              return \`https://console.aws.amazon.com/lambda/home?region=\${region}#/functions/\${encodeURIComponent(nodeId)}?tab=monitoring\`;
             }
             return null;
           }
@@ -231,23 +489,50 @@ function buildHtmlPage({
 
           if (service === 'lambda' && resource.startsWith('function:')) {
             const functionName = resource.slice('function:'.length);
-            return \`https://console.aws.amazon.com/lambda/home?region=\${awsRegion}#/functions/\${encodeURIComponent(functionName)}?tab=monitoring\`;
+            return \`https://console.aws.amazon.com/lambda/home?region=\${region}#/functions/\${encodeURIComponent(functionName)}?tab=monitoring\`;
           }
 
           if (service === 'sqs') {
             const resourceSegments = resource.split('/');
             const queueName = resourceSegments[resourceSegments.length - 1];
             if (queueName) {
-              const queueUrl = \`https://sqs.\${awsRegion}.amazonaws.com/\${parsed.accountId || ''}/\${queueName}\`;
-              return \`https://console.aws.amazon.com/sqs/v2/home?region=\${awsRegion}#/queues/\${encodeURIComponent(queueUrl)}\`;
+              const queueUrl = \`https://sqs.\${parsed.region || region}.amazonaws.com/\${parsed.accountId || ''}/\${queueName}\`;
+              return \`https://console.aws.amazon.com/sqs/v2/home?region=\${region}#/queues/\${encodeURIComponent(queueUrl)}\`;
             }
           }
 
           if (service === 'sns' && resource.startsWith('topic/')) {
-            return \`https://console.aws.amazon.com/sns/v3/home?region=\${awsRegion}#/topic/\${encodeURIComponent(parsed.raw)}\`;
+            return \`https://console.aws.amazon.com/sns/v3/home?region=\${region}#/topic/\${encodeURIComponent(parsed.raw)}\`;
+          }
+
+          if (service === 'execute-api') {
+            const apiId = resource.split(/[/#]/)[0];
+            const attributes = node.attributes || {};
+            if (attributes.kind === 'route' && attributes.apiKind === 'restApi' && attributes.resourceId) {
+              return \`https://console.aws.amazon.com/apigateway/home?region=\${region}#/apis/\${apiId}/resources/\${attributes.resourceId}\`;
+            }
+            if (attributes.kind === 'route' && attributes.routeId) {
+              return \`https://console.aws.amazon.com/apigateway/main/develop/routes?api=\${apiId}&region=\${region}&routes=\${attributes.routeId}\`;
+            }
+            if (attributes.kind === 'restApi') {
+              return \`https://console.aws.amazon.com/apigateway/home?region=\${region}#/apis/\${apiId}/resources\`;
+            }
+            return \`https://console.aws.amazon.com/apigateway/main/api-detail?api=\${apiId}&region=\${region}\`;
+          }
+
+          if (service === 'states' && resource.startsWith('stateMachine:')) {
+            const stateMachineArn = parsed.raw.split('#')[0];
+            return \`https://console.aws.amazon.com/states/home?region=\${region}#/statemachines/view/\${encodeURIComponent(stateMachineArn)}\`;
+          }
+
+          if (service === 'events' && resource.startsWith('rule/')) {
+            const ruleSegments = resource.slice('rule/'.length).split('/');
+            const ruleName = ruleSegments.pop();
+            const busName = ruleSegments.join('/') || 'default';
+            return \`https://console.aws.amazon.com/events/home?region=\${region}#/eventbus/\${encodeURIComponent(busName)}/rules/\${encodeURIComponent(ruleName)}\`;
           }
 
-          return \`https://console.aws.amazon.com/resource-explorer/home?region=\${awsRegion}#Resources:ARN=\${encodeURIComponent(parsed.raw)}\`;
+          return \`https://console.aws.amazon.com/resource-explorer/home?region=\${region}#Resources:ARN=\${encodeURIComponent(parsed.raw)}\`;
         }
 
         function buildEdgeKey(edge) {
@@ -255,7 +540,8 @@ function buildHtmlPage({
             return '';
           }
           const typeSegment = edge.type ? String(edge.type) : '';
-          return \`\${edge.source}|\${edge.target}|\${typeSegment}\`;
+          const key = \`\${edge.source}|\${edge.target}|\${typeSegment}\`;
+          return edge.type === 'eventSource' && edge.metadata?.eventSourceMapping ? key + '|' + edge.metadata.eventSourceMapping : key;
         }
 
         function buildHeuristicLayout(nodes, edges) {
@@ -478,6 +764,8 @@ function buildHtmlPage({
                 id: nodeId,
                 label: node?.label ?? nodeId,
                 service: node?.service ?? 'Unknown',
+                region: node?.region,
+                attributes: node?.attributes,
                 position: {
                   x: baseX + columnPosition * columnGap,
                   y: finalY
@@ -495,7 +783,9 @@ function buildHtmlPage({
             ? graph.nodes.map((node) => ({
                 id: node.id,
                 label: node.label ?? node.id,
-                service: node.service ?? 'Unknown'
+                service: node.service ?? 'Unknown',
+                region: node.region,
+                attributes: node.attributes
               }))
             : [];
           const edges = Array.isArray(graph?.edges) ? graph.edges : [];
@@ -560,6 +850,60 @@ function buildHtmlPage({
           return buildHeuristicLayout(nodes, edges);
         }
 
+        // Rules show their schedule or event pattern under the name; exposed functions say so.
+        function renderNodeLabel(node) {
+          const attributes = node.attributes || {};
+          const subtitle = attributes.scheduleExpression || attributes.eventPattern || (attributes.public ? 'Publicly invocable' : null);
+          if (!subtitle) {
+            return node.label;
+          }
+          const h = window.React.createElement;
+          return h('div', { title: attributes.publicReason || subtitle }, [
+            h('div', { key: 'label' }, node.label),
+            h('div', { key: 'subtitle', style: { fontSize: '11px', fontWeight: 400, opacity: 0.85, marginTop: 4, overflowWrap: 'anywhere' } }, subtitle)
+          ]);
+        }
+
+        // Confirmed edges come from an AWS API; inferred and heuristic ones from matches in function code.
+        const CONFIDENCE_EDGE_STYLES = {
+          confirmed: {},
+          inferred: { strokeDasharray: '8 4' },
+          heuristic: { strokeDasharray: '2 4', opacity: 0.5 }
+        };
+        // Dashes already carry confidence, so disabled edges are faded instead.
+        const DISABLED_EDGE_STYLE = { opacity: 0.35, strokeWidth: 1.2 };
+
+        function describeProvenance(provenance) {
+          if (!provenance) {
+            return undefined;
+          }
+          if (provenance.source === 'api') {
+            return 'AWS API ' + provenance.api;
+          }
+          return 'Code in ' + (provenance.functionId || 'function package');
+        }
+
+        function isDisabledEdge(edge) {
+          const state = edge.metadata?.state;
+          return edge.type === 'eventSource' && Boolean(state) && state !== 'Enabled';
+        }
+
+        // JSON strings (filter patterns, filter policies) are pretty-printed for the edge panel.
+        function formatMetadataValue(value) {
+          if (typeof value === 'string') {
+            try {
+              const parsed = JSON.parse(value);
+              if (parsed && typeof parsed === 'object') {
+                return JSON.stringify(parsed, null, 2);
+              }
+            } catch (error) {
+              // Not JSON; show as-is.
+            }
+            return value;
+          }
+          return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+        }
+
         function buildReactFlowGraph(graph) {
           const layout = computeLayout(graph);
 
@@ -568,14 +912,14 @@ function buildHtmlPage({
             const textColor = pickTextColor(color);
             return {
               id: node.id,
-              data: { label: node.label, service: node.service },
+              data: { label: renderNodeLabel(node), service: node.service, region: node.region, attributes: node.attributes },
               position: node.position,
               sourcePosition: 'right',
               targetPosition: 'left',
               style: {
                 background: color,
                 color: textColor,
-                border: '1px solid #333',
+                border: node.attributes?.public ? '3px solid #d62728' : '1px solid #333',
                 borderRadius: 8,
                 padding: '10px 14px',
                 fontSize: '14px',
@@ -589,22 +933,34 @@ function buildHtmlPage({
 
           const edges = layout.edges.map((edge) => {
             const edgeId = buildEdgeKey(edge);
+            const disabled = isDisabledEdge(edge);
+            const edgeColor = disabled ? '#9e9e9e' : (edge.crossAccount ? '#8e44ad' : '#444');
+            const weightLabel = edge.metadata?.weight ? ' ' + edge.metadata.weight : '';
+            const accessLabel = edge.metadata?.access ? ' (' + edge.metadata.access + ')' : '';
+            const typeLabel = (edge.type ? String(edge.type) : '') + weightLabel + accessLabel + (disabled ? ' (disabled)' : '');
             return {
               id: edgeId,
               source: edge.source,
               target: edge.target,
-              label: edge.type ? String(edge.type) : undefined,
+              data: { type: edge.type, crossAccount: edge.crossAccount, metadata: edge.metadata, provenance: edge.provenance, confidence: edge.confidence },
+              label: edge.crossAccount ? (typeLabel ? typeLabel + ' (cross-account)' : 'cross-account') : (typeLabel || undefined),
               type: 'smoothstep',
               markerEnd: {
                 type: window.ReactFlow.MarkerType.ArrowClosed,
                 width: 20,
                 height: 20,
-                color: '#444'
+                color: edgeColor
               },
               labelBgPadding: [4, 2],
               labelBgBorderRadius: 4,
               labelBgStyle: { fill: 'rgba(33, 33, 33, 0.8)', color: '#fff' },
-              style: { stroke: '#444', strokeWidth: 1.6, opacity: 0.75 },
+              style: {
+                stroke: edgeColor,
+                strokeWidth: 1.6,
+                opacity: 0.75,
+                ...(CONFIDENCE_EDGE_STYLES[edge.confidence] || {}),
+                ...(disabled ? DISABLED_EDGE_STYLE : {})
+              },
               animated: false
             };
           });
@@ -638,6 +994,57 @@ function buildHtmlPage({
           const { createElement, useMemo, useState, useEffect, useRef, useCallback } = window.React;
           const { createRoot } = window.ReactDOM;
 
+          // Shared by the node and edge detail views: a title, a subtitle and a list of key/value entries.
+          function renderDetailsPanel({ title, subtitle, entries, emptyMessage, footer, onClose }) {
+            return createElement(
+              'div',
+              {
+                style: {
+                  background: 'rgba(255,255,255,0.97)',
+                  padding: '10px 12px',
+                  borderRadius: 8,
+                  boxShadow: '0 1px 4px rgba(0,0,0,0.2)',
+                  fontSize: '13px',
+                  display: 'flex',
+                  flexDirection: 'column',
+                  gap: '6px',
+                  maxHeight: '70vh',
+                  overflowY: 'auto',
+                  width: '340px'
+                }
+              },
+              createElement(
+                'div',
+                { style: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' } },
+                createElement('strong', { style: { overflowWrap: 'anywhere' } }, title),
+                createElement('button', {
+                  type: 'button',
+                  onClick: onClose,
+                  style: { border: '1px solid #c8c8c8', borderRadius: 6, padding: '2px 8px', background: '#f2f2f2', cursor: 'pointer' }
+                }, 'Close')
+              ),
+              subtitle ? createElement('span', { style: { fontSize: '12px', color: '#555' } }, subtitle) : null,
+              entries.length === 0
+                ? createElement('span', { style: { fontSize: '12px', color: '#777' } }, emptyMessage || 'No details recorded.')
+                : createElement(
+                    'dl',
+                    { style: { margin: 0, display: 'flex', flexDirection: 'column', gap: '4px' } },
+                    ...entries.flatMap(([key, value]) => [
+                      createElement('dt', { key: 'k-' + key, style: { fontWeight: 600, fontSize: '12px' } }, key),
+                      createElement(
+                        'dd',
+                        { key: 'v-' + key, style: { margin: 0 } },
+                        ...(Array.isArray(value) ? value : [value]).map((item, index) => createElement('pre', {
+                          key: index,
+                          style: { margin: '0 0 4px', whiteSpace: 'pre-wrap', wordBreak: 'break-word', fontSize: '12px', background: '#f6f6f6', padding: '4px 6px', borderRadius: 4 }
+                        }, formatMetadataValue(item)))
+                      )
+                    ])
+                  ),
+              footer || null
+            );
+          }
+
           function GraphApp() {
             const reactFlowInstanceRef = useRef(null);
             const focusedNodeRef = useRef(null);
@@ -648,7 +1055,9 @@ function buildHtmlPage({
               }
               const descriptor = {
                 id: node.id,
-                service: node.data?.service || node.service || 'Unknown'
+                service: node.data?.service || node.service || 'Unknown',
+                region: node.data?.region || node.region,
+                attributes: node.data?.attributes || node.attributes
               };
               const url = buildConsoleUrl(descriptor);
               if (!url) {
@@ -674,11 +1083,15 @@ function buildHtmlPage({
               return defaults;
             }, [allServices]);
 
+            const expandableNodes = useMemo(() => graphData.nodes.filter((node) => Array.isArray(node.subgraph?.nodes) && node.subgraph.nodes.length > 0), []);
+
             const [visibleServices, setVisibleServices] = useState(initialVisibility);
+            const [expandedNodeIds, setExpandedNodeIds] = useState(() => new Set());
             const [nodes, setNodes, onNodesChange] = useNodesState([]);
             const [edges, setEdges, onEdgesChange] = useEdgesState([]);
             const [searchTerm, setSearchTerm] = useState('');
             const [focusedNodeId, setFocusedNodeId] = useState(null);
+            const [selectedEdgeId, setSelectedEdgeId] = useState(null);
 
             const filteredGraph = useMemo(() => {
               const enabledServices = new Set();
@@ -690,9 +1103,26 @@ function buildHtmlPage({
 
               const visibleNodes = graphData.nodes.filter((node) => enabledServices.has(node.service || 'Unknown'));
               const allowedIds = new Set(visibleNodes.map((node) => node.id));
-              const visibleEdges = graphData.edges.filter((edge) => allowedIds.has(edge.source) && allowedIds.has(edge.target));
+              const expanded = expandableNodes.filter((node) => expandedNodeIds.has(node.id) && allowedIds.has(node.id));
+              expanded.forEach((node) => {
+                node.subgraph.nodes.forEach((subNode) => {
+                  if (!allowedIds.has(subNode.id)) {
+                    visibleNodes.push(subNode);
+                    allowedIds.add(subNode.id);
+                  }
+                });
+              });
+
+              let visibleEdges = graphData.edges.filter((edge) => allowedIds.has(edge.source) && allowedIds.has(edge.target));
+              expanded.forEach((node) => {
+                const subEdges = (node.subgraph.edges || []).filter((edge) => allowedIds.has(edge.source) && allowedIds.has(edge.target));
+                // Direct edges from the expanded node are redrawn from the inner nodes that own them.
+                const innerTargets = new Set(subEdges.filter((edge) => edge.source !== node.id).map((edge) => edge.target));
+                visibleEdges = visibleEdges.filter((edge) => edge.source !== node.id || !innerTargets.has(edge.target));
+                visibleEdges.push(...subEdges);
+              });
               return { nodes: visibleNodes, edges: visibleEdges };
-            }, [allServices, visibleServices]);
+            }, [allServices, visibleServices, expandableNodes, expandedNodeIds]);
 
             const layout = useMemo(() => buildReactFlowGraph(filteredGraph), [filteredGraph]);
 
@@ -886,6 +1316,18 @@ function buildHtmlPage({
               }));
             }
 
+            function toggleExpanded(nodeId) {
+              setExpandedNodeIds((prev) => {
+                const next = new Set(prev);
+                if (next.has(nodeId)) {
+                  next.delete(nodeId);
+                } else {
+                  next.add(nodeId);
+                }
+                return next;
+              });
+            }
+
             function handleSearchKeyDown(event) {
               if (event.key === 'Enter') {
                 event.preventDefault();
@@ -1078,6 +1520,91 @@ function buildHtmlPage({
               );
             });
 
+            controlsContent.push(
+              createElement(
+                'span',
+                { key: 'confidence-legend', style: { fontSize: '12px', color: '#555', maxWidth: '250px' } },
+                'Edges: solid = confirmed by an AWS API, dashed = inferred from code, dotted = heuristic guess, faded grey = disabled.'
+              )
+            );
+
+            if (expandableNodes.length > 0) {
+              controlsContent.push(
+                createElement('strong', { key: 'expand-title', style: { marginTop: '4px' } }, 'Expand into sub-graph')
+              );
+              expandableNodes.forEach((node) => {
+                controlsContent.push(
+                  createElement(
+                    'label',
+                    {
+                      key: 'expand-' + node.id,
+                      title: node.id,
+                      style: {
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '0.5rem',
+                        padding: '4px 0'
+                      }
+                    },
+                    createElement('input', {
+                      type: 'checkbox',
+                      checked: expandedNodeIds.has(node.id),
+                      onChange: () => toggleExpanded(node.id)
+                    }),
+                    node.label + ' (' + node.subgraph.nodes.length + ')'
+                  )
+                );
+              });
+            }
+
+            const selectedEdge = selectedEdgeId ? layout.edges.find((edge) => edge.id === selectedEdgeId) : null;
+            const selectedNode = !selectedEdge && focusedNodeId ? filteredGraph.nodes.find((node) => node.id === focusedNodeId) : null;
+            let detailsPanel = null;
+            if (selectedEdge) {
+              const labelFor = (nodeId) => filteredGraph.nodes.find((node) => node.id === nodeId)?.label || nodeId;
+              const provenance = selectedEdge.data?.provenance;
+              const locations = provenance?.source === 'code' && Array.isArray(provenance.locations) ? provenance.locations : [];
+              const entries = [
+                ['confidence', selectedEdge.data?.confidence],
+                ['source', describeProvenance(provenance)],
+                ...Object.entries(selectedEdge.data?.metadata || {})
+              ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+              detailsPanel = renderDetailsPanel({
+                title: (selectedEdge.data?.type || 'edge') + (isDisabledEdge(selectedEdge.data || {}) ? ' (disabled)' : ''),
+                subtitle: labelFor(selectedEdge.source) + ' → ' + labelFor(selectedEdge.target),
+                entries,
+                emptyMessage: 'No details recorded for this edge.',
+                footer: locations.length === 0
+                  ? null
+                  : createElement(
+                      'div',
+                      { style: { display: 'flex', flexDirection: 'column', gap: '4px' } },
+                      createElement('strong', { style: { fontSize: '12px' } }, 'Code evidence'),
+                      ...locations.map((location, index) => createElement('button', {
+                        key: 'evidence-' + index,
+                        type: 'button',
+                        onClick: () => showCodeEvidence(provenance.functionId, location),
+                        style: { textAlign: 'left', border: '1px solid #c9ddff', borderRadius: 6, padding: '4px 8px', background: '#eef5ff', color: '#12457a', cursor: 'pointer', fontSize: '12px', overflowWrap: 'anywhere' }
+                      }, location.path + ':' + location.line + (location.environmentVariables?.length ? ' via ' + location.environmentVariables.join(', ') : '')))
+                    ),
+                onClose: () => setSelectedEdgeId(null)
+              });
+            } else if (selectedNode) {
+              const entries = [
+                ['id', selectedNode.id],
+                ['service', selectedNode.service || 'Unknown'],
+                ['region', selectedNode.region],
+                ['account', selectedNode.accountId],
+                ...Object.entries(selectedNode.attributes || {})
+              ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+              detailsPanel = renderDetailsPanel({
+                title: selectedNode.label || selectedNode.id,
+                subtitle: 'Double-click the node to open it in the AWS console.',
+                entries,
+                onClose: clearFocus
+              });
+            }
+
             const controlStyle = {
               background: 'rgba(255,255,255,0.95)',
               padding: '10px 12px',
@@ -1123,11 +1650,16 @@ function buildHtmlPage({
                   },
                   onNodeClick: (event, node) => {
                     if (node?.id) {
+                      setSelectedEdgeId(null);
                       focusNode(node.id);
                     }
                   },
                   onPaneClick: () => {
                     clearFocus();
+                    setSelectedEdgeId(null);
+                  },
+                  onEdgeClick: (event, edge) => {
+                    setSelectedEdgeId(edge?.id || null);
                   },
                   onNodeDoubleClick: (event, node) => {
                     openDashboard(node);
@@ -1138,9 +1670,11 @@ function buildHtmlPage({
                 createElement(MiniMap, {
                   nodeColor: (node) => node.style?.background || '#999999'
                 }),
-                panelInReactFlow
+                panelInReactFlow,
+                detailsPanel && Panel ? createElement(Panel, { position: 'top-right' }, detailsPanel) : null
               ),
-              fallbackPanel
+              fallbackPanel,
+              detailsPanel && !Panel ? createElement('div', { style: { position: 'absolute', right: '16px', top: '16px' } }, detailsPanel) : null
             );
           }
 
@@ -1160,6 +1694,27 @@ function buildHtmlPage({
           return { ok: response.ok, payload };
         }
 
+        // Shows the lines behind a code-derived edge in the code search section.
+        async function showCodeEvidence(functionId, location) {
+          const params = new URLSearchParams({ function: functionId || '', path: location.path || '', line: String(location.line || 1) });
+          try {
+            const response = await fetch('/code-evidence?' + params.toString());
+            const payload = await response.json();
+            if (response.ok) {
+              renderCodeSearchResults(payload, '');
+            } else {
+              renderCodeSearchResults({ ready: true, results: [] }, '');
+              const statusElement = document.getElementById('code-search-status');
+              if (statusElement) {
+                statusElement.textContent = payload.error || 'Code evidence is not available.';
+              }
+            }
+          } catch (error) {
+            renderCodeSearchResults({ ready: false, results: [] }, '');
+          }
+          document.getElementById('code-search')?.scrollIntoView({ behavior: 'smooth' });
+        }
+
         function renderCodeSearchStatus(status) {
           const statusElement = document.getElementById('code-search-status');
           if (!statusElement) {
@@ -1293,9 +1848,35 @@ function buildHtmlPage({
           }).catch(() => {});
         }
 
+        function setupRefresh() {
+          const button = document.getElementById('refresh-graph');
+          if (!button) {
+            return;
+          }
+
+          document.querySelectorAll('time[datetime]').forEach((element) => {
+            const value = new Date(element.getAttribute('datetime'));
+            if (!Number.isNaN(value.getTime())) {
+              element.textContent = value.toLocaleString();
+            }
+          });
+
+          button.addEventListener('click', async () => {
+            button.disabled = true;
+            button.textContent = 'Refreshing...';
+            try {
+              await fetch('/refresh?wait=0', { method: 'POST' });
+            } catch (error) {
+              console.warn('Refresh request failed', error);
+            }
+            window.location.href = '/?progress=1';
+          });
+        }
+
         function init() {
           mountReactFlow();
           setupCodeSearch();
+          setupRefresh();
         }
 
         if (document.readyState === 'loading') {
@@ -1333,9 +1914,68 @@ async function handleRequest(req, res) {
     return;
   }
 
+  if (parsedUrl && parsedUrl.pathname === '/code-evidence') {
+    const evidence = readCodeEvidence(
+      parsedUrl.searchParams.get('function') || '',
+      parsedUrl.searchParams.get('path') || '',
+      Number.parseInt(parsedUrl.searchParams.get('line') || '', 10)
+    );
+    res.writeHead(evidence ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(evidence ? { ready: true, results: [evidence] } : { error: 'No indexed code at that location.' }, null, 2));
+    return;
+  }
+
+  if (parsedUrl && parsedUrl.pathname === '/refresh') {
+    if (req.method !== 'POST') {
+      res.writeHead(405, { 'Content-Type': 'text/plain', Allow: 'POST' });
+      res.end('Use POST to refresh the graph.');
+      return;
+    }
+    if (parsedUrl.searchParams.get('wait') === '0') {
+      graphCache.refresh().catch(() => {});
+      res.writeHead(202, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(graphCache.status(), null, 2));
+      return;
+    }
+    let refreshed;
+    try {
+      refreshed = await graphCache.refresh();
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `Unexpected error while building graph: ${error?.message || 'Unknown error'}` }, null, 2));
+      return;
+    }
+    res.writeHead(refreshed.error ? 503 : 200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      discoveredAt: refreshed.discoveredAt,
+      error: refreshed.error ?? null,
+      nodes: refreshed.graph.nodes.length,
+      edges: refreshed.graph.edges.length
+    }, null, 2));
+    return;
+  }
+
+  if (parsedUrl && parsedUrl.pathname === '/events') {
+    handleProgressStream(req, res);
+    return;
+  }
+
+  const cacheStatus = graphCache.status();
+  const showLatest = Boolean(parsedUrl?.searchParams.has('latest') && graphCache.latest() && !cacheStatus.refreshing);
+  const wantsProgress = Boolean(parsedUrl?.searchParams.has('progress') && cacheStatus.refreshing);
+
+  // Pages answer immediately with a live progress view; the graph is swapped in once discovery completes.
+  const wantsJson = req.url === '/graph.json' || parsedUrl?.pathname === '/least-privilege';
+  if (!wantsJson && !showLatest && (!cacheStatus.fresh || wantsProgress)) {
+    graphCache.get().catch(() => {});
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(buildProgressPage());
+    return;
+  }
+
   let result;
   try {
-    result = await buildAwsGraph();
+    result = showLatest ? graphCache.latest() : await graphCache.get();
   } catch (error) {
     const message = `Unexpected error while building graph: ${error?.message || 'Unknown error'}`;
     const body = buildHtmlPage({
@@ -1369,13 +2009,27 @@ async function handleRequest(req, res) {
     });
   }
 
+  if (parsedUrl?.pathname === '/least-privilege') {
+    res.writeHead(result.error ? 503 : 200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      functions: result.leastPrivilege ?? [],
+      error: result.error ?? null,
+      discoveredAt: result.discoveredAt ?? null
+    }, null, 2));
+    return;
+  }
+
   if (req.url === '/graph.json') {
     res.writeHead(result.error ? 503 : 200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({
       graph: result.graph,
       validationSteps,
       warnings: result.warnings,
+      wildcardPermissions: result.wildcardPermissions ?? [],
       error: result.error ?? null,
+      regions: result.regions ?? [],
+      accounts: result.accounts ?? [],
+      discoveredAt: result.discoveredAt ?? null,
       codeSearch: getCodeIndexStatus()
     }, null, 2));
     return;
@@ -1386,6 +2040,11 @@ async function handleRequest(req, res) {
     validationSteps,
     error: result.error,
     warnings: result.warnings,
+    wildcardPermissions: result.wildcardPermissions,
+    leastPrivilege: result.leastPrivilege,
+    regions: result.regions,
+    accounts: result.accounts,
+    discoveredAt: result.discoveredAt,
     serviceColorsMap: serviceColors,
     codeSearchStatus: getCodeIndexStatus()
   });
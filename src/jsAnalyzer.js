@@ -0,0 +1,362 @@
+import { parse } from '@babel/parser';
+
+const JS_FILE_EXTENSIONS = new Set(['js', 'mjs', 'cjs', 'jsx', 'ts', 'mts', 'cts', 'tsx']);
+const MAX_AST_SOURCE_BYTES = 2 * 1024 * 1024; // larger bundles fall back to the regex scan
+const MAX_RESOLVE_DEPTH = 8;
+const TRACKED_PARAMETERS = new Set(['FunctionName', 'QueueUrl', 'TableName', 'Bucket', 'TopicArn', 'StateMachineArn']);
+// Service clients, keyed by lowercase name without separators ("@aws-sdk/client-cloudwatch-logs", "AWS.CloudWatchLogs").
+// Anything else under the SDK (credentials, Endpoint, Config, utility libraries) is not a service.
+const SDK_SERVICE_CLIENTS = new Set([
+  'acm', 'apigateway', 'apigatewaymanagementapi', 'apigatewayv2', 'appsync', 'athena', 'autoscaling', 'batch',
+  'bedrock', 'bedrockagentruntime', 'bedrockruntime', 'cloudformation', 'cloudfront', 'cloudtrail', 'cloudwatch',
+  'cloudwatchevents', 'cloudwatchlogs', 'codebuild', 'codecommit', 'codedeploy', 'codepipeline', 'cognitoidentity',
+  'cognitoidentityprovider', 'cognitoidentityserviceprovider', 'comprehend', 'dynamodb', 'dynamodbstreams', 'ec2',
+  'ecr', 'ecs', 'efs', 'eks', 'elasticache', 'elasticloadbalancing', 'elasticloadbalancingv2', 'emr', 'eventbridge',
+  'firehose', 'glue', 'iam', 'iot', 'iotdata', 'iotdataplane', 'kafka', 'kinesis', 'kms', 'lambda', 'mq',
+  'opensearch', 'polly', 'rds', 'rdsdata', 'rdsdataservice', 'redshift', 'redshiftdata', 'rekognition', 'route53',
+  's3', 's3control', 'sagemaker', 'sagemakerruntime', 'scheduler', 'secretsmanager', 'servicediscovery', 'ses',
+  'sesv2', 'sfn', 'sns', 'sqs', 'ssm', 'stepfunctions', 'sts', 'textract', 'timestreamwrite', 'transcribe',
+  'translate', 'xray'
+]);
+// "@aws-sdk/lib-*" packages wrap a service client; only these name one.
+const SDK_LIBRARY_SERVICES = { dynamodb: 'dynamodb', storage: 's3' };
+const SKIPPED_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments', 'comments', 'tokens', 'errors']);
+
+function fileExtension(filePath = '') {
+  return filePath.split('.').pop()?.toLowerCase() ?? '';
+}
+
+function isJavaScriptFile(filePath) {
+  return JS_FILE_EXTENSIONS.has(fileExtension(filePath));
+}
+
+function parserPlugins(filePath) {
+  const ext = fileExtension(filePath);
+  if (ext === 'tsx') {
+    return ['typescript', 'jsx', 'decorators-legacy'];
+  }
+  if (ext === 'ts' || ext === 'mts' || ext === 'cts') {
+    return ['typescript', 'decorators-legacy'];
+  }
+  return ['jsx'];
+}
+
+function parseSource(content, filePath) {
+  return parse(content, {
+    sourceType: 'unambiguous',
+    errorRecovery: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowImportExportEverywhere: true,
+    plugins: parserPlugins(filePath)
+  });
+}
+
+// Iterative so deeply nested bundles cannot overflow the stack.
+function walk(root, visit) {
+  const stack = [root];
+  while (stack.length) {
+    const node = stack.pop();
+    visit(node);
+    Object.keys(node).forEach((key) => {
+      if (SKIPPED_KEYS.has(key)) {
+        return;
+      }
+      const value = node[key];
+      if (Array.isArray(value)) {
+        for (let index = value.length - 1; index >= 0; index -= 1) {
+          if (value[index] && typeof value[index].type === 'string') {
+            stack.push(value[index]);
+          }
+        }
+      } else if (value && typeof value.type === 'string') {
+        stack.push(value);
+      }
+    });
+  }
+}
+
+function unwrapExpression(node) {
+  let current = node;
+  while (current && ['TSAsExpression', 'TSSatisfiesExpression', 'TSNonNullExpression', 'TypeCastExpression', 'ParenthesizedExpression'].includes(current.type)) {
+    current = current.expression;
+  }
+  return current;
+}
+
+function propertyKeyName(property) {
+  if (!property || property.computed) {
+    return null;
+  }
+  if (property.key?.type === 'Identifier') {
+    return property.key.name;
+  }
+  return property.key?.type === 'StringLiteral' ? property.key.value : null;
+}
+
+function memberPropertyName(node) {
+  if (!node.computed && node.property?.type === 'Identifier') {
+    return node.property.name;
+  }
+  return node.property?.type === 'StringLiteral' ? node.property.value : null;
+}
+
+function isProcessEnv(node) {
+  const current = unwrapExpression(node);
+  return (current?.type === 'MemberExpression' || current?.type === 'OptionalMemberExpression')
+    && current.object?.type === 'Identifier' && current.object.name === 'process' && memberPropertyName(current) === 'env';
+}
+
+// Module-wide bindings: a name declared once, never reassigned and never shadowed by a parameter
+// keeps its initializer; anything else is ambiguous and resolves to nothing.
+function collectBindings(ast) {
+  const bindings = new Map();
+  const ambiguous = new Set();
+
+  function declare(name, init) {
+    if (bindings.has(name)) {
+      ambiguous.add(name);
+      return;
+    }
+    bindings.set(name, init ?? null);
+  }
+
+  function declarePattern(pattern) {
+    if (!pattern) {
+      return;
+    }
+    if (pattern.type === 'Identifier') {
+      declare(pattern.name, null);
+    } else if (pattern.type === 'AssignmentPattern') {
+      declarePattern(pattern.left);
+    } else if (pattern.type === 'RestElement') {
+      declarePattern(pattern.argument);
+    } else if (pattern.type === 'ObjectPattern') {
+      pattern.properties.forEach((property) => declarePattern(property.type === 'RestElement' ? property : property.value));
+    } else if (pattern.type === 'ArrayPattern') {
+      pattern.elements.forEach((element) => declarePattern(element));
+    }
+  }
+
+  // `const { QUEUE_URL: queueUrl = 'fallback' } = process.env` binds each name to its variable.
+  function declareEnvironmentPattern(pattern) {
+    pattern.properties.forEach((property) => {
+      const variable = property.type === 'ObjectProperty' ? propertyKeyName(property) : null;
+      const target = property.value?.type === 'AssignmentPattern' ? property.value.left : property.value;
+      if (!variable || target?.type !== 'Identifier') {
+        declarePattern(property.type === 'RestElement' ? property : property.value);
+        return;
+      }
+      declare(target.name, { type: 'EnvironmentRead', name: variable, fallback: property.value.type === 'AssignmentPattern' ? property.value.right : null });
+    });
+  }
+
+  walk(ast, (node) => {
+    if (node.type === 'VariableDeclarator') {
+      if (node.id?.type === 'Identifier') {
+        declare(node.id.name, node.init);
+      } else if (node.id?.type === 'ObjectPattern' && isProcessEnv(node.init)) {
+        declareEnvironmentPattern(node.id);
+      } else {
+        declarePattern(node.id);
+      }
+    } else if (node.type === 'AssignmentExpression' && node.left?.type === 'Identifier') {
+      ambiguous.add(node.left.name);
+    } else if (node.type === 'UpdateExpression' && node.argument?.type === 'Identifier') {
+      ambiguous.add(node.argument.name);
+    } else if (Array.isArray(node.params) && node.body) {
+      node.params.forEach((param) => declarePattern(param));
+    } else if (node.type === 'CatchClause') {
+      declarePattern(node.param);
+    }
+  });
+
+  ambiguous.forEach((name) => bindings.delete(name));
+  return bindings;
+}
+
+function createResolver(bindings, environment) {
+  function resolveNode(node, depth) {
+    const current = unwrapExpression(node);
+    if (!current || depth > MAX_RESOLVE_DEPTH) {
+      return null;
+    }
+    if (current.type === 'Identifier') {
+      return bindings.has(current.name) ? resolveNode(bindings.get(current.name), depth + 1) : null;
+    }
+    if (current.type === 'MemberExpression' || current.type === 'OptionalMemberExpression') {
+      const name = memberPropertyName(current);
+      if (isProcessEnv(current.object)) {
+        return name ? { type: 'EnvironmentRead', name, fallback: null } : null;
+      }
+      const object = resolveNode(current.object, depth + 1);
+      if (object?.type !== 'ObjectExpression' || !name) {
+        return null;
+      }
+      const property = object.properties.find((candidate) => candidate.type === 'ObjectProperty' && propertyKeyName(candidate) === name);
+      return property ? resolveNode(property.value, depth + 1) : null;
+    }
+    return current;
+  }
+
+  // Environment reads take the function's configured value; `variables` collects the names that were used.
+  function resolveString(node, depth = 0, variables = null) {
+    const current = resolveNode(node, depth);
+    if (!current) {
+      return null;
+    }
+    if (current.type === 'StringLiteral') {
+      return current.value;
+    }
+    if (current.type === 'EnvironmentRead') {
+      if (typeof environment[current.name] === 'string') {
+        variables?.add(current.name);
+        return environment[current.name];
+      }
+      return resolveString(current.fallback, depth + 1, variables);
+    }
+    if (current.type === 'LogicalExpression' && (current.operator === '??' || current.operator === '||')) {
+      return resolveString(current.left, depth + 1, variables) ?? resolveString(current.right, depth + 1, variables);
+    }
+    if (current.type === 'TemplateLiteral') {
+      let value = '';
+      for (let index = 0; index < current.quasis.length; index += 1) {
+        value += current.quasis[index].value.cooked ?? '';
+        if (index < current.expressions.length) {
+          const part = resolveString(current.expressions[index], depth + 1, variables);
+          if (part === null) {
+            return null;
+          }
+          value += part;
+        }
+      }
+      return value;
+    }
+    if (current.type === 'BinaryExpression' && current.operator === '+') {
+      const left = resolveString(current.left, depth + 1, variables);
+      const right = left === null ? null : resolveString(current.right, depth + 1, variables);
+      return right === null ? null : left + right;
+    }
+    return null;
+  }
+
+  return {
+    resolveObject(node) {
+      const current = resolveNode(node, 0);
+      return current?.type === 'ObjectExpression' ? current : null;
+    },
+    resolveString
+  };
+}
+
+function locationOf(node, filePath) {
+  return { path: filePath || 'unknown', line: node.loc?.start.line ?? 1, column: (node.loc?.start.column ?? 0) + 1 };
+}
+
+function sdkServiceName(name) {
+  const key = name.replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
+  return SDK_SERVICE_CLIENTS.has(key) ? key : null;
+}
+
+// "@aws-sdk/client-sqs", "@aws-sdk/lib-dynamodb" and "aws-sdk/clients/sqs" all name the service they talk to.
+function sdkServiceFromModule(source) {
+  if (typeof source !== 'string') {
+    return null;
+  }
+  const library = /^@aws-sdk\/lib-([a-z0-9-]+)/.exec(source);
+  if (library) {
+    return SDK_LIBRARY_SERVICES[library[1]] ?? null;
+  }
+  const client = /^@aws-sdk\/client-([a-z0-9-]+)/.exec(source) ?? /^aws-sdk\/clients\/([a-z0-9-]+)/.exec(source);
+  return client ? sdkServiceName(client[1]) : null;
+}
+
+function calleeOperation(callee) {
+  const target = unwrapExpression(callee);
+  if (target?.type === 'Identifier') {
+    return target.name;
+  }
+  if (target?.type === 'MemberExpression' || target?.type === 'OptionalMemberExpression') {
+    return memberPropertyName(target);
+  }
+  return null;
+}
+
+// Finds SDK v2 calls (`sqs.sendMessage({ QueueUrl })`) and v3 commands (`new SendMessageCommand({ QueueUrl })`),
+// resolving the tracked parameters through module constants and the function's environment variables.
+// Returns null when the source cannot be parsed.
+function analyzeJavaScriptSource(content, filePath, { environment = {} } = {}) {
+  if (typeof content !== 'string' || content.length > MAX_AST_SOURCE_BYTES) {
+    return null;
+  }
+
+  let ast;
+  try {
+    ast = parseSource(content, filePath);
+  } catch (error) {
+    return null;
+  }
+
+  const resolver = createResolver(collectBindings(ast), environment || {});
+  const calls = [];
+  const services = [];
+
+  walk(ast, (node) => {
+    if (node.type === 'ImportDeclaration') {
+      const service = sdkServiceFromModule(node.source?.value);
+      if (service) {
+        services.push({ service, location: locationOf(node, filePath) });
+      }
+      return;
+    }
+
+    if (node.type !== 'CallExpression' && node.type !== 'NewExpression' && node.type !== 'OptionalCallExpression') {
+      return;
+    }
+
+    const callee = unwrapExpression(node.callee);
+    if (callee?.type === 'Identifier' && callee.name === 'require' && node.arguments[0]?.type === 'StringLiteral') {
+      const service = sdkServiceFromModule(node.arguments[0].value);
+      if (service) {
+        services.push({ service, location: locationOf(node, filePath) });
+      }
+      return;
+    }
+
+    // new AWS.SQS() / new AWS.DynamoDB.DocumentClient(); new AWS.Config() and credential classes are skipped.
+    if (node.type === 'NewExpression' && callee?.type === 'MemberExpression') {
+      const owner = callee.object?.type === 'MemberExpression' ? callee.object : callee;
+      const service = owner.object?.type === 'Identifier' && owner.object.name === 'AWS' && memberPropertyName(owner)
+        ? sdkServiceName(memberPropertyName(owner))
+        : null;
+      if (service) {
+        services.push({ service, location: locationOf(node, filePath) });
+      }
+    }
+
+    const params = node.arguments?.[0] ? resolver.resolveObject(node.arguments[0]) : null;
+    if (!params) {
+      return;
+    }
+    const operation = calleeOperation(node.callee);
+    params.properties.forEach((property) => {
+      const parameter = property.type === 'ObjectProperty' ? propertyKeyName(property) : null;
+      if (!TRACKED_PARAMETERS.has(parameter)) {
+        return;
+      }
+      const variables = new Set();
+      const value = resolver.resolveString(property.value, 0, variables);
+      const location = locationOf(node, filePath);
+      calls.push({
+        parameter,
+        operation: operation ? operation.replace(/Command$/, '') : null,
+        value,
+        location: variables.size ? { ...location, environmentVariables: Array.from(variables) } : location
+      });
+    });
+  });
+
+  return { calls, services };
+}
+
+export { analyzeJavaScriptSource, isJavaScriptFile };
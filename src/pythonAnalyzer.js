@@ -0,0 +1,734 @@
+import path from 'node:path';
+
+const MAX_PYTHON_SOURCE_BYTES = 2 * 1024 * 1024;
+const MAX_RESOLVE_DEPTH = 8;
+const TRACKED_PARAMETERS = new Set(['FunctionName', 'QueueUrl', 'TableName', 'Bucket', 'TopicArn', 'StateMachineArn']);
+const PYTHON_KEYWORDS = new Set([
+  'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else', 'except',
+  'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not', 'or', 'pass',
+  'raise', 'return', 'try', 'while', 'with', 'yield'
+]);
+// Keywords that can only start a statement: seen at the start of a line inside brackets, they mean a
+// bracket was left open by a syntax error, and the line starts over instead of swallowing the rest of the file.
+const STATEMENT_KEYWORDS = new Set([
+  'assert', 'break', 'class', 'continue', 'def', 'del', 'elif', 'except', 'finally', 'from', 'global', 'import',
+  'nonlocal', 'pass', 'raise', 'return', 'try', 'while', 'with'
+]);
+// boto3 resource objects whose first argument names the resource, e.g. dynamodb.Table('orders').
+const RESOURCE_CONSTRUCTORS = {
+  Table: 'TableName',
+  Bucket: 'Bucket',
+  Object: 'Bucket',
+  Queue: 'QueueUrl',
+  Topic: 'TopicArn'
+};
+const VENDORED_PYTHON_PATTERN = /(^|\/)(site-packages|dist-packages|boto3|botocore|s3transfer)\//i;
+const ENVIRONMENT_MAPPINGS = new Set(['os.environ', 'environ']);
+const ENVIRONMENT_GETTERS = new Set(['os.environ.get', 'environ.get', 'os.getenv', 'getenv']);
+const OPERATORS = ['**=', '//=', '>>=', '<<=', '**', '//', '==', '!=', '<=', '>=', '->', ':=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '@=', '>>', '<<'];
+const STRING_ESCAPES = { n: '\n', t: '\t', r: '\r', '\\': '\\', "'": "'", '"': '"', 0: '\0' };
+const OPENING_BRACKETS = { '(': ')', '[': ']', '{': '}' };
+
+function isPythonFile(filePath = '') {
+  return filePath.split('.').pop()?.toLowerCase() === 'py';
+}
+
+// Dependencies installed next to the handler (`pip install -t .`, layers) leave install metadata behind:
+// a wheel's RECORD lists every file it installed and top_level.txt names the packages it provides.
+function createVendoredPythonMatcher(entries = []) {
+  const recordedFiles = new Set();
+  const packages = new Set();
+  entries.forEach((entry) => {
+    const metadata = /^(.*?)[^/]+\.(?:dist|egg)-info\/(RECORD|top_level\.txt)$/.exec(entry?.path || '');
+    if (!metadata || typeof entry.content !== 'string') {
+      return;
+    }
+    const [, root, file] = metadata;
+    entry.content.split(/\r?\n/).forEach((line) => {
+      if (file === 'RECORD') {
+        const recorded = line.startsWith('"') ? line.slice(1, line.indexOf('"', 1)) : line.split(',')[0];
+        if (recorded) {
+          recordedFiles.add(path.posix.normalize(root + recorded));
+        }
+      } else if (line.trim()) {
+        packages.add(root + line.trim());
+      }
+    });
+  });
+
+  return (filePath = '') => {
+    if (VENDORED_PYTHON_PATTERN.test(filePath) || recordedFiles.has(filePath)) {
+      return true;
+    }
+    const segments = filePath.replace(/\.py$/i, '').split('/');
+    return segments.some((segment, index) => packages.has(segments.slice(0, index + 1).join('/')));
+  };
+}
+
+function readStringToken(source, start, prefix) {
+  const quote = source[start];
+  const triple = source.startsWith(quote.repeat(3), start);
+  const delimiter = triple ? quote.repeat(3) : quote;
+  const raw = /r/i.test(prefix);
+  let index = start + delimiter.length;
+  let value = '';
+  while (index < source.length && !source.startsWith(delimiter, index)) {
+    const char = source[index];
+    if (!triple && char === '\n') {
+      break;
+    }
+    if (char === '\\' && index + 1 < source.length) {
+      const next = source[index + 1];
+      value += raw ? char + next : (STRING_ESCAPES[next] ?? (next === '\n' ? '' : char + next));
+      index += 2;
+      // eslint-disable-next-line no-continue
+      continue;
+    }
+    value += char;
+    index += 1;
+  }
+  return { value, end: Math.min(source.length, index + delimiter.length), fstring: /f/i.test(prefix) };
+}
+
+// Produces one token list per logical line; newlines inside brackets and after "\" do not end a line.
+function tokenize(source) {
+  const lines = [];
+  let current = [];
+  let depth = 0;
+  let index = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  function endLine() {
+    if (current.length) {
+      lines.push(current);
+    }
+    current = [];
+  }
+
+  while (index < source.length) {
+    const char = source[index];
+    const column = index - lineStart + 1;
+
+    if (char === '\n') {
+      line += 1;
+      lineStart = index + 1;
+      index += 1;
+      const nextWord = depth > 0 ? /^[ \t]*([A-Za-z_]+)\b/.exec(source.slice(index, index + 128))?.[1] : null;
+      if (nextWord && STATEMENT_KEYWORDS.has(nextWord)) {
+        depth = 0;
+      }
+      if (depth === 0) {
+        endLine();
+      }
+    } else if (char === '\\' && source[index + 1] === '\n') {
+      index += 2;
+      line += 1;
+      lineStart = index;
+    } else if (char === ' ' || char === '\t' || char === '\r' || char === '\f') {
+      index += 1;
+    } else if (char === '#') {
+      while (index < source.length && source[index] !== '\n') {
+        index += 1;
+      }
+    } else if (char === ';' && depth === 0) {
+      index += 1;
+      endLine();
+    } else {
+      const prefix = /^[rRbBuUfF]{0,2}(?=['"])/.exec(source.slice(index, index + 3))?.[0];
+      const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(index, index + 256))?.[0];
+      if (prefix !== undefined) {
+        const token = readStringToken(source, index + prefix.length, prefix);
+        current.push({ type: 'string', value: token.value, fstring: token.fstring, line, column });
+        for (let position = index; position < token.end; position += 1) {
+          if (source[position] === '\n') {
+            line += 1;
+            lineStart = position + 1;
+          }
+        }
+        index = token.end;
+      } else if (name) {
+        current.push({ type: 'name', value: name, line, column });
+        index += name.length;
+      } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[index + 1] ?? ''))) {
+        const number = /^[0-9._a-zA-Z]+/.exec(source.slice(index, index + 64))[0];
+        current.push({ type: 'number', value: number, line, column });
+        index += number.length;
+      } else {
+        const operator = OPERATORS.find((candidate) => source.startsWith(candidate, index)) || char;
+        if (OPENING_BRACKETS[operator]) {
+          depth += 1;
+        } else if (operator === ')' || operator === ']' || operator === '}') {
+          depth = Math.max(0, depth - 1);
+        }
+        current.push({ type: 'op', value: operator, line, column });
+        index += operator.length;
+      }
+    }
+  }
+  endLine();
+  return lines;
+}
+
+function isOp(token, value) {
+  return token?.type === 'op' && token.value === value;
+}
+
+// A forgiving expression parser over one logical line: it understands names, attributes, calls,
+// subscripts, strings, dicts and "+"/"or", and records every call it passes through.
+function createLineParser(tokens, calls) {
+  let position = 0;
+
+  function skipBalanced(stopValues) {
+    let depth = 0;
+    while (position < tokens.length) {
+      const token = tokens[position];
+      if (depth === 0 && token.type === 'op' && stopValues.includes(token.value)) {
+        return;
+      }
+      if (token.type === 'op' && OPENING_BRACKETS[token.value]) {
+        depth += 1;
+      } else if (token.type === 'op' && [')', ']', '}'].includes(token.value)) {
+        if (depth === 0) {
+          return;
+        }
+        depth -= 1;
+      }
+      position += 1;
+    }
+  }
+
+  function parseSequence(closer, parseItem) {
+    position += 1;
+    const items = [];
+    while (position < tokens.length && !isOp(tokens[position], closer)) {
+      const start = position;
+      const item = parseItem();
+      if (item) {
+        items.push(item);
+      }
+      if (isOp(tokens[position], ',')) {
+        position += 1;
+      } else if (!isOp(tokens[position], closer)) {
+        skipBalanced([',', closer]);
+        if (isOp(tokens[position], ',')) {
+          position += 1;
+        }
+      }
+      if (position === start) {
+        position += 1;
+      }
+    }
+    position += 1;
+    return items;
+  }
+
+  function parseArguments(func, token) {
+    const call = { type: 'call', func, args: [], keywords: [], unpacked: [], line: token.line, column: token.column };
+    parseSequence(')', () => {
+      const current = tokens[position];
+      if (isOp(current, '**')) {
+        position += 1;
+        call.unpacked.push(parseExpression());
+      } else if (isOp(current, '*')) {
+        position += 1;
+        call.args.push({ type: 'other', inner: parseExpression() });
+      } else if (current?.type === 'name' && isOp(tokens[position + 1], '=')) {
+        position += 2;
+        call.keywords.push({ name: current.value, value: parseExpression() });
+      } else {
+        call.args.push(parseExpression());
+      }
+      return null;
+    });
+    calls.push(call);
+    return call;
+  }
+
+  function parsePrimary() {
+    const token = tokens[position];
+    if (!token) {
+      return null;
+    }
+    if (token.type === 'string') {
+      const parts = [];
+      while (tokens[position]?.type === 'string') {
+        parts.push(tokens[position]);
+        position += 1;
+      }
+      return { type: 'str', parts, line: token.line, column: token.column };
+    }
+    if (token.type === 'number') {
+      position += 1;
+      return { type: 'other' };
+    }
+    if (token.type === 'name' && !PYTHON_KEYWORDS.has(token.value)) {
+      position += 1;
+      return { type: 'name', id: token.value, line: token.line, column: token.column };
+    }
+    if (isOp(token, '(')) {
+      const items = parseSequence(')', () => parseExpression());
+      return items.length === 1 ? items[0] : { type: 'other', items };
+    }
+    if (isOp(token, '[')) {
+      return { type: 'other', items: parseSequence(']', () => parseExpression()) };
+    }
+    if (isOp(token, '{')) {
+      const entries = parseSequence('}', () => {
+        if (isOp(tokens[position], '**')) {
+          position += 1;
+          parseExpression();
+          return null;
+        }
+        const key = parseExpression();
+        if (!isOp(tokens[position], ':')) {
+          return null;
+        }
+        position += 1;
+        return { key, value: parseExpression() };
+      });
+      return { type: 'dict', entries };
+    }
+    return null;
+  }
+
+  function parsePostfix() {
+    const start = tokens[position];
+    let node = parsePrimary();
+    if (!node) {
+      return null;
+    }
+    for (;;) {
+      const token = tokens[position];
+      if (isOp(token, '.') && tokens[position + 1]?.type === 'name') {
+        node = { type: 'attr', object: node, attr: tokens[position + 1].value, line: start.line, column: start.column };
+        position += 2;
+      } else if (isOp(token, '(')) {
+        node = parseArguments(node, start);
+      } else if (isOp(token, '[')) {
+        const items = parseSequence(']', () => parseExpression());
+        node = { type: 'subscript', object: node, index: items[0] ?? null };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  function parseUnary() {
+    const token = tokens[position];
+    if ((token?.type === 'name' && (token.value === 'not' || token.value === 'await')) || (token?.type === 'op' && ['-', '+', '~'].includes(token.value))) {
+      position += 1;
+      const operand = parseUnary();
+      return token.value === 'await' ? operand : { type: 'other', operand };
+    }
+    return parsePostfix();
+  }
+
+  function parseBinary() {
+    let left = parseUnary();
+    while (left) {
+      const token = tokens[position];
+      const isOperator = token?.type === 'op' && ['+', '-', '*', '/', '//', '%', '|', '&', '^', '<', '>', '==', '!=', '<=', '>=', '**', '@', '<<', '>>'].includes(token.value);
+      const isWordOperator = token?.type === 'name' && ['in', 'is', 'not'].includes(token.value);
+      if (!isOperator && !isWordOperator) {
+        return left;
+      }
+      position += 1;
+      if (isWordOperator && ['not', 'in'].includes(tokens[position]?.value) && tokens[position].type === 'name') {
+        position += 1;
+      }
+      const right = parseUnary();
+      left = token.value === '+' ? { type: 'concat', left, right } : { type: 'other', left, right };
+    }
+    return left;
+  }
+
+  function parseExpression() {
+    if (tokens[position]?.type === 'name' && tokens[position].value === 'lambda') {
+      skipBalanced([':']);
+      position += 1;
+      parseExpression();
+      return { type: 'other' };
+    }
+    let left = parseBinary();
+    while (left && tokens[position]?.type === 'name' && ['or', 'and'].includes(tokens[position].value)) {
+      const operator = tokens[position].value;
+      position += 1;
+      const right = parseBinary();
+      left = operator === 'or' ? { type: 'or', left, right } : { type: 'other', left, right };
+    }
+    if (left && tokens[position]?.type === 'name' && tokens[position].value === 'if') {
+      position += 1;
+      parseBinary();
+      if (tokens[position]?.value === 'else') {
+        position += 1;
+        parseExpression();
+      }
+      return { type: 'other', left };
+    }
+    return left;
+  }
+
+  return {
+    parseExpression,
+    get position() {
+      return position;
+    },
+    set position(value) {
+      position = value;
+    }
+  };
+}
+
+function dottedName(node) {
+  if (node?.type === 'name') {
+    return node.id;
+  }
+  if (node?.type === 'attr') {
+    const owner = dottedName(node.object);
+    return owner ? `${owner}.${node.attr}` : null;
+  }
+  return null;
+}
+
+// Every expression in the line is parsed so calls nested in `return`, `with`, `if`, etc. are seen too.
+function parseExpressions(tokens, calls) {
+  const parser = createLineParser(tokens, calls);
+  const expressions = [];
+  while (parser.position < tokens.length) {
+    const start = parser.position;
+    const expression = parser.parseExpression();
+    if (expression) {
+      expressions.push(expression);
+    }
+    if (parser.position === start) {
+      parser.position = start + 1;
+    }
+  }
+  return expressions;
+}
+
+function splitTopLevel(tokens, separator) {
+  const segments = [[]];
+  let depth = 0;
+  tokens.forEach((token) => {
+    if (token.type === 'op' && OPENING_BRACKETS[token.value]) {
+      depth += 1;
+    } else if (token.type === 'op' && [')', ']', '}'].includes(token.value)) {
+      depth -= 1;
+    }
+    if (depth === 0 && isOp(token, separator)) {
+      segments.push([]);
+    } else {
+      segments[segments.length - 1].push(token);
+    }
+  });
+  return segments;
+}
+
+// Names a line rebinds without a plain `name = value`: parameters, loop targets, `as` targets, walrus and augmented assignment.
+function collectRebindings(tokens, ambiguous) {
+  const first = tokens[0]?.value === 'async' ? tokens[1] : tokens[0];
+  if (first?.type === 'name' && (first.value === 'def' || first.value === 'class')) {
+    let depth = 0;
+    tokens.forEach((token, index) => {
+      if (token.type === 'op' && token.value === '(') {
+        depth += 1;
+      } else if (token.type === 'op' && token.value === ')') {
+        depth -= 1;
+      }
+      const previous = tokens[index - 1];
+      if (first.value === 'def' && depth === 1 && token.type === 'name' && previous?.type === 'op' && ['(', ',', '*', '**'].includes(previous.value)) {
+        ambiguous.add(token.value);
+      }
+    });
+  }
+  tokens.forEach((token, index) => {
+    const next = tokens[index + 1];
+    if (token.type === 'name' && token.value === 'as' && next?.type === 'name') {
+      ambiguous.add(next.value);
+    }
+    if (token.type === 'name' && token.value === 'for') {
+      for (let position = index + 1; position < tokens.length && tokens[position].value !== 'in'; position += 1) {
+        if (tokens[position].type === 'name') {
+          ambiguous.add(tokens[position].value);
+        }
+      }
+    }
+    if (isOp(next, ':=') && token.type === 'name') {
+      ambiguous.add(token.value);
+    }
+    if (next?.type === 'op' && /^[^=!<>:]+=$/.test(next.value) && next.value !== '=') {
+      const target = dottedName(parseExpressions(tokens.slice(0, index + 1), [])[0]);
+      if (target) {
+        ambiguous.add(target);
+      }
+    }
+  });
+}
+
+function collectModule(lines) {
+  const bindings = new Map();
+  const ambiguous = new Set();
+  const calls = [];
+
+  lines.forEach((tokens) => {
+    collectRebindings(tokens, ambiguous);
+    const segments = splitTopLevel(tokens, '=');
+    if (segments.length === 1) {
+      parseExpressions(tokens, calls);
+      return;
+    }
+
+    const valueExpressions = parseExpressions(segments[segments.length - 1], calls);
+    segments.slice(0, -1).forEach((segment) => {
+      // Annotated assignments (`name: str = ...`) keep only the part before the annotation.
+      const targetTokens = splitTopLevel(segment, ':')[0];
+      const targets = parseExpressions(targetTokens, calls);
+      const target = targets.length === 1 && splitTopLevel(targetTokens, ',').length === 1 ? dottedName(targets[0]) : null;
+      if (!target || valueExpressions.length !== 1) {
+        targetTokens.filter((token) => token.type === 'name').forEach((token) => ambiguous.add(token.value));
+        return;
+      }
+      if (bindings.has(target)) {
+        ambiguous.add(target);
+      }
+      bindings.set(target, valueExpressions[0]);
+    });
+  });
+
+  ambiguous.forEach((name) => bindings.delete(name));
+  return { bindings, calls };
+}
+
+// Finds the "}" closing the f-string replacement field opened at `start`, skipping nested brackets and quotes.
+function readReplacementField(text, start) {
+  let depth = 0;
+  let quote = null;
+  let expressionEnd = -1;
+  for (let index = start + 1; index < text.length; index += 1) {
+    const char = text[index];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (OPENING_BRACKETS[char]) {
+      depth += 1;
+    } else if ((char === ')' || char === ']' || char === '}') && depth > 0) {
+      depth -= 1;
+    } else if (char === '}') {
+      const expression = text.slice(start + 1, expressionEnd === -1 ? index : expressionEnd);
+      const debug = /[^=!<>]=\s*$/.test(expression);
+      return { expression: debug ? expression.replace(/=\s*$/, '') : expression, formatted: expressionEnd !== -1 || debug, end: index };
+    } else if (depth === 0 && expressionEnd === -1 && ((char === '!' && text[index + 1] !== '=') || char === ':')) {
+      expressionEnd = index;
+    }
+  }
+  return null;
+}
+
+function createResolver(bindings, environment) {
+  function lookup(node, depth) {
+    const name = dottedName(node);
+    return name && bindings.has(name) && depth < MAX_RESOLVE_DEPTH ? bindings.get(name) : null;
+  }
+
+  // Replacement fields are parsed like any other expression: names, subscripts and calls all resolve.
+  // Conversions and format specs (`{x!r}`, `{x:>8}`, `{x=}`) change the text, so they resolve to nothing.
+  function resolveFormatted(text, depth, variables) {
+    let value = '';
+    for (let index = 0; index < text.length; index += 1) {
+      const char = text[index];
+      if ((char === '{' || char === '}') && text[index + 1] === char) {
+        value += char;
+        index += 1;
+        // eslint-disable-next-line no-continue
+        continue;
+      }
+      if (char !== '{') {
+        value += char;
+        // eslint-disable-next-line no-continue
+        continue;
+      }
+      const field = readReplacementField(text, index);
+      if (!field || field.formatted) {
+        return null;
+      }
+      const expressions = parseExpressions(tokenize(field.expression).flat(), []);
+      const part = expressions.length === 1 ? resolveString(expressions[0], depth + 1, variables) : null;
+      if (part === null) {
+        return null;
+      }
+      value += part;
+      index = field.end;
+    }
+    return value;
+  }
+
+  // os.environ['X'], os.environ.get('X', default) and os.getenv('X', default).
+  function environmentRead(node, depth) {
+    if (node.type === 'subscript' && ENVIRONMENT_MAPPINGS.has(dottedName(node.object))) {
+      return { name: resolveString(node.index, depth + 1), fallback: null };
+    }
+    if (node.type === 'call' && ENVIRONMENT_GETTERS.has(dottedName(node.func))) {
+      const fallback = node.args[1] ?? node.keywords.find(({ name }) => name === 'default')?.value ?? null;
+      return { name: resolveString(node.args[0], depth + 1), fallback };
+    }
+    return null;
+  }
+
+  // Environment reads take the function's configured value; `variables` collects the names that were used.
+  function resolveString(node, depth = 0, variables = null) {
+    if (!node || depth > MAX_RESOLVE_DEPTH) {
+      return null;
+    }
+    const read = environmentRead(node, depth);
+    if (read) {
+      if (read.name && typeof environment[read.name] === 'string') {
+        variables?.add(read.name);
+        return environment[read.name];
+      }
+      return resolveString(read.fallback, depth + 1, variables);
+    }
+    if (node.type === 'str') {
+      let value = '';
+      for (const part of node.parts) {
+        const text = part.fstring ? resolveFormatted(part.value, depth, variables) : part.value;
+        if (text === null) {
+          return null;
+        }
+        value += text;
+      }
+      return value;
+    }
+    if (node.type === 'concat') {
+      const left = resolveString(node.left, depth + 1, variables);
+      const right = left === null ? null : resolveString(node.right, depth + 1, variables);
+      return right === null ? null : left + right;
+    }
+    if (node.type === 'or') {
+      return resolveString(node.left, depth + 1, variables) ?? resolveString(node.right, depth + 1, variables);
+    }
+    if (node.type === 'name' || node.type === 'attr') {
+      return resolveString(lookup(node, depth), depth + 1, variables);
+    }
+    return null;
+  }
+
+  function resolveDict(node, depth = 0) {
+    if (node?.type === 'dict') {
+      return node;
+    }
+    if (node?.type === 'call' && dottedName(node.func) === 'dict') {
+      return { type: 'dict', entries: node.keywords.map(({ name, value }) => ({ key: { type: 'str', parts: [{ value: name }] }, value })) };
+    }
+    const bound = node?.type === 'name' || node?.type === 'attr' ? lookup(node, depth) : null;
+    return bound ? resolveDict(bound, depth + 1) : null;
+  }
+
+  function serviceArgument(call) {
+    const keyword = call.keywords.find(({ name }) => name === 'service_name');
+    return resolveString(keyword?.value ?? call.args[0]);
+  }
+
+  function isSessionFactory(node, depth) {
+    const name = dottedName(node);
+    if (name === 'boto3' || name === 'boto3.session') {
+      return true;
+    }
+    if (node?.type === 'call') {
+      return /(^|\.)Session$/.test(dottedName(node.func) || '');
+    }
+    const bound = lookup(node, depth);
+    return bound ? isSessionFactory(bound, depth + 1) : false;
+  }
+
+  // What an expression evaluates to as far as boto3 is concerned: a client, a service resource or a resource object.
+  function describeBoto3Value(node, depth = 0) {
+    if (!node || depth > MAX_RESOLVE_DEPTH) {
+      return null;
+    }
+    if (node.type === 'name' || node.type === 'attr') {
+      const bound = lookup(node, depth);
+      return bound ? describeBoto3Value(bound, depth + 1) : null;
+    }
+    if (node.type !== 'call' || node.func?.type !== 'attr') {
+      return null;
+    }
+    const method = node.func.attr;
+    if ((method === 'client' || method === 'resource') && isSessionFactory(node.func.object, depth + 1)) {
+      const service = serviceArgument(node);
+      return service ? { kind: method, service } : null;
+    }
+    const owner = describeBoto3Value(node.func.object, depth + 1);
+    if (owner?.kind === 'resource' && RESOURCE_CONSTRUCTORS[method]) {
+      const variables = new Set();
+      const value = resolveString(node.args[0], 0, variables);
+      return { kind: 'object', service: owner.service, parameter: RESOURCE_CONSTRUCTORS[method], value, variables, operation: method };
+    }
+    return null;
+  }
+
+  return { resolveString, resolveDict, describeBoto3Value };
+}
+
+function withEnvironment(location, variables) {
+  return variables?.size ? { ...location, environmentVariables: Array.from(variables) } : location;
+}
+
+// Follows boto3 clients, service resources and resource objects (Table, Bucket, Queue, Topic) into
+// their calls, resolving tracked arguments through module-level constants and the function's environment
+// variables. Same result shape as the JavaScript analyzer.
+function analyzePythonSource(content, filePath, { environment = {} } = {}) {
+  if (typeof content !== 'string' || content.length > MAX_PYTHON_SOURCE_BYTES) {
+    return null;
+  }
+
+  const { bindings, calls } = collectModule(tokenize(content));
+  const resolver = createResolver(bindings, environment || {});
+  const findings = [];
+  const services = [];
+  const locationOf = (call) => ({ path: filePath || 'unknown', line: call.line, column: call.column });
+
+  calls.forEach((call) => {
+    const location = locationOf(call);
+    const value = resolver.describeBoto3Value(call);
+    if (value?.kind === 'client' || value?.kind === 'resource') {
+      services.push({ service: value.service, location });
+    } else if (value?.kind === 'object') {
+      findings.push({ parameter: value.parameter, operation: value.operation, value: value.value, location: withEnvironment(location, value.variables) });
+    }
+
+    if (call.func?.type !== 'attr') {
+      return;
+    }
+    const operation = call.func.attr;
+    const receiver = resolver.describeBoto3Value(call.func.object);
+    if (receiver?.kind === 'object') {
+      findings.push({ parameter: receiver.parameter, operation, value: receiver.value, location: withEnvironment(location, receiver.variables) });
+    }
+
+    const keywords = [...call.keywords];
+    call.unpacked.forEach((unpacked) => {
+      resolver.resolveDict(unpacked)?.entries.forEach(({ key, value: entryValue }) => {
+        const name = resolver.resolveString(key);
+        if (name) {
+          keywords.push({ name, value: entryValue });
+        }
+      });
+    });
+    keywords.forEach(({ name, value: argument }) => {
+      if (TRACKED_PARAMETERS.has(name)) {
+        const variables = new Set();
+        const resolved = resolver.resolveString(argument, 0, variables);
+        findings.push({ parameter: name, operation, value: resolved, location: withEnvironment(location, variables) });
+      }
+    });
+  });
+
+  return { calls: findings, services };
+}
+
+export { analyzePythonSource, createVendoredPythonMatcher, isPythonFile };
@@ -21,6 +21,11 @@ export const serviceColors = {
   EFS: '#8A2BE2',
   KMS: '#2F3FB0',
   ELB: '#1D7B93',
+  Cognito: '#DD344C',
+  Internet: '#D62728',
+  HTTP: '#34495E',
+  Email: '#16A085',
+  SMS: '#27AE60',
   Unknown: '#999999'
 };
 
@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { analyzeJavaScriptSource } from '../src/jsAnalyzer.js';
+
+function callValues(source, options, filePath = 'index.js') {
+  return analyzeJavaScriptSource(source, filePath, options).calls.map(({ parameter, operation, value }) => [parameter, operation, value]);
+}
+
+describe('analyzeJavaScriptSource', () => {
+  it('resolves v3 command parameters through module constants', () => {
+    const source = [
+      "import { SQSClient, SendMessageCommand } from '@aws-sdk/client-sqs';",
+      "const ACCOUNT = '111111111111';",
+      'const QUEUES = { orders: `https://sqs.eu-west-1.amazonaws.com/${ACCOUNT}/orders` };',
+      'const client = new SQSClient({});',
+      'await client.send(new SendMessageCommand({ QueueUrl: QUEUES.orders, MessageBody: "x" }));'
+    ].join('\n');
+    const result = analyzeJavaScriptSource(source, 'index.js');
+    assert.deepEqual(result.calls, [{
+      parameter: 'QueueUrl',
+      operation: 'SendMessage',
+      value: 'https://sqs.eu-west-1.amazonaws.com/111111111111/orders',
+      location: { path: 'index.js', line: 5, column: 19 }
+    }]);
+    assert.deepEqual(result.services.map(({ service }) => service), ['sqs']);
+  });
+
+  it('resolves v2 calls and leaves reassigned names unresolved', () => {
+    const source = [
+      "let target = 'first';",
+      "target = 'second';",
+      "const PARAMS = { FunctionName: 'billing' };",
+      'lambda.invoke(PARAMS);',
+      'lambda.invoke({ FunctionName: target });',
+      'function run(name) { return lambda.invoke({ FunctionName: name }); }'
+    ].join('\n');
+    assert.deepEqual(callValues(source), [
+      ['FunctionName', 'invoke', 'billing'],
+      ['FunctionName', 'invoke', null],
+      ['FunctionName', 'invoke', null]
+    ]);
+  });
+
+  it('reads environment variables from the function configuration', () => {
+    const source = [
+      "const { TABLE_NAME, MISSING: fallback = 'default-table' } = process.env;",
+      "ddb.send(new PutItemCommand({ TableName: TABLE_NAME, Item: {} }));",
+      'ddb.send(new GetItemCommand({ TableName: fallback }));',
+      "lambda.invoke({ FunctionName: `${process.env['STAGE']}-worker` });",
+      'lambda.invoke({ FunctionName: process.env.NOPE ?? process.env.WORKER });'
+    ].join('\n');
+    const result = analyzeJavaScriptSource(source, 'index.js', { environment: { TABLE_NAME: 'orders', STAGE: 'prod', WORKER: 'billing' } });
+    assert.deepEqual(result.calls.map(({ value, location }) => [value, location.environmentVariables]), [
+      ['orders', ['TABLE_NAME']],
+      ['default-table', undefined],
+      ['prod-worker', ['STAGE']],
+      ['billing', ['WORKER']]
+    ]);
+  });
+
+  it('parses TypeScript', () => {
+    const source = [
+      "import { DynamoDBClient, PutItemCommand } from '@aws-sdk/client-dynamodb';",
+      "const TABLE = 'orders' as const;",
+      'export const save = (c: DynamoDBClient): Promise<unknown> => c.send(new PutItemCommand({ TableName: TABLE!, Item: {} }));'
+    ].join('\n');
+    assert.deepEqual(callValues(source, {}, 'db.ts'), [['TableName', 'PutItem', 'orders']]);
+  });
+
+  it('only counts real service clients as services', () => {
+    const source = [
+      "import { Upload } from '@aws-sdk/lib-storage';",
+      "import { DynamoDBDocumentClient } from '@aws-sdk/lib-dynamodb';",
+      "import { fromIni } from '@aws-sdk/credential-providers';",
+      "const logs = require('@aws-sdk/client-cloudwatch-logs');",
+      "const AWS = require('aws-sdk');",
+      'new AWS.SharedIniFileCredentials();',
+      'new AWS.Config({});',
+      'new AWS.DynamoDB.DocumentClient();'
+    ].join('\n');
+    const result = analyzeJavaScriptSource(source, 'index.js');
+    assert.deepEqual(result.services.map(({ service }) => service), ['s3', 'dynamodb', 'cloudwatchlogs', 'dynamodb']);
+  });
+
+  it('returns null for source it cannot analyze', () => {
+    assert.equal(analyzeJavaScriptSource(42, 'index.js'), null);
+    assert.equal(analyzeJavaScriptSource('x'.repeat(2 * 1024 * 1024 + 1), 'index.js'), null);
+    assert.doesNotThrow(() => analyzeJavaScriptSource('const = ;; function (', 'index.js'));
+  });
+});
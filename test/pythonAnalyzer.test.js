@@ -0,0 +1,142 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { analyzePythonSource, createVendoredPythonMatcher } from '../src/pythonAnalyzer.js';
+
+function callValues(source, options) {
+  return analyzePythonSource(source, 'app.py', options).calls.map(({ parameter, operation, value }) => [parameter, operation, value]);
+}
+
+describe('analyzePythonSource', () => {
+  it('resolves keyword arguments through module constants', () => {
+    const source = [
+      'import boto3',
+      "ACCOUNT = '111111111111'",
+      "QUEUE_URL = 'https://sqs.eu-west-1.amazonaws.com/' + ACCOUNT + '/orders'",
+      "sqs = boto3.client('sqs')",
+      'def handler(event, context):',
+      "    sqs.send_message(QueueUrl=QUEUE_URL, MessageBody='x')"
+    ].join('\n');
+    const result = analyzePythonSource(source, 'app.py');
+    assert.deepEqual(result.calls, [{
+      parameter: 'QueueUrl',
+      operation: 'send_message',
+      value: 'https://sqs.eu-west-1.amazonaws.com/111111111111/orders',
+      location: { path: 'app.py', line: 6, column: 5 }
+    }]);
+    assert.deepEqual(result.services.map(({ service }) => service), ['sqs']);
+  });
+
+  it('leaves names that are rebound or passed as parameters unresolved', () => {
+    const source = [
+      "NAME = 'first'",
+      "NAME = 'second'",
+      'def handler(target):',
+      '    lam.invoke(FunctionName=NAME)',
+      '    lam.invoke(FunctionName=target)'
+    ].join('\n');
+    assert.deepEqual(callValues(source), [
+      ['FunctionName', 'invoke', null],
+      ['FunctionName', 'invoke', null]
+    ]);
+  });
+
+  it('reads environment variables from the function configuration', () => {
+    const source = [
+      'import os',
+      "TABLE = os.environ['TABLE_NAME']",
+      "lam.invoke(FunctionName=os.getenv('WORKER'))",
+      "lam.invoke(FunctionName=os.environ.get('MISSING', 'fallback'))",
+      'ddb.put_item(TableName=TABLE)'
+    ].join('\n');
+    const result = analyzePythonSource(source, 'app.py', { environment: { TABLE_NAME: 'orders', WORKER: 'billing' } });
+    assert.deepEqual(result.calls.map(({ value, location }) => [value, location.environmentVariables]), [
+      ['billing', ['WORKER']],
+      ['fallback', undefined],
+      ['orders', ['TABLE_NAME']]
+    ]);
+  });
+
+  it('resolves f-strings with names, subscripts and calls', () => {
+    const source = [
+      'import os',
+      "REGION = 'eu-west-1'",
+      "CONFIG = {'stage': 'prod'}",
+      "lam.invoke(FunctionName=f\"{os.environ['STAGE']}-worker\")",
+      "lam.invoke(FunctionName=f'{os.getenv(\"PREFIX\", \"app\")}-{REGION}')",
+      "lam.invoke(FunctionName=f'{{literal}}-{REGION}')",
+      "lam.invoke(FunctionName=f'{REGION!r}')",
+      "lam.invoke(FunctionName=f'{REGION:>12}')"
+    ].join('\n');
+    assert.deepEqual(callValues(source, { environment: { STAGE: 'prod' } }).map(([, , value]) => value), [
+      'prod-worker',
+      'app-eu-west-1',
+      '{literal}-eu-west-1',
+      null,
+      null
+    ]);
+  });
+
+  it('expands **kwargs from dict literals and dict() calls', () => {
+    const source = [
+      "PARAMS = {'StateMachineArn': 'arn:aws:states:eu-west-1:111111111111:stateMachine:flow'}",
+      "TOPIC = dict(TopicArn='arn:aws:sns:eu-west-1:111111111111:alerts')",
+      "sfn.start_execution(**PARAMS, input='{}')",
+      "sns.publish(Message='x', **TOPIC)"
+    ].join('\n');
+    assert.deepEqual(callValues(source), [
+      ['StateMachineArn', 'start_execution', 'arn:aws:states:eu-west-1:111111111111:stateMachine:flow'],
+      ['TopicArn', 'publish', 'arn:aws:sns:eu-west-1:111111111111:alerts']
+    ]);
+  });
+
+  it('follows service resources into resource objects and their calls', () => {
+    const source = [
+      'import boto3',
+      "dynamodb = boto3.resource('dynamodb')",
+      "table = dynamodb.Table('orders')",
+      "session = boto3.session.Session()",
+      "bucket = session.resource('s3').Bucket('archive')",
+      'table.put_item(Item={})',
+      "bucket.put_object(Key='k', Body=b'')",
+      "other.Table('not-boto3')"
+    ].join('\n');
+    const result = analyzePythonSource(source, 'app.py');
+    assert.deepEqual(result.calls.map(({ parameter, operation, value, location }) => [parameter, operation, value, location.line]), [
+      ['TableName', 'Table', 'orders', 3],
+      ['Bucket', 'Bucket', 'archive', 5],
+      ['TableName', 'put_item', 'orders', 6],
+      ['Bucket', 'put_object', 'archive', 7]
+    ]);
+    assert.deepEqual(result.services.map(({ service }) => service), ['dynamodb', 's3']);
+  });
+
+  it('tolerates source it cannot parse', () => {
+    const source = [
+      'def broken(:',
+      '    x = [1, 2,',
+      'def handler(event, context):',
+      "    lam.invoke(FunctionName='still-found')",
+      '"""unterminated'
+    ].join('\n');
+    assert.deepEqual(callValues(source), [['FunctionName', 'invoke', 'still-found']]);
+    assert.equal(analyzePythonSource(42, 'app.py'), null);
+    assert.equal(analyzePythonSource('x'.repeat(2 * 1024 * 1024 + 1), 'app.py'), null);
+  });
+});
+
+describe('createVendoredPythonMatcher', () => {
+  it('recognises dependencies installed next to the handler', () => {
+    const isVendored = createVendoredPythonMatcher([
+      { path: 'requests-2.31.0.dist-info/RECORD', content: 'requests/__init__.py,sha256=abc,494\nrequests/api.py,sha256=def,6449\n"odd name.py",,\n' },
+      { path: 'python/PyYAML-6.0.dist-info/top_level.txt', content: '_yaml\nyaml\n' }
+    ]);
+    assert.equal(isVendored('requests/api.py'), true);
+    assert.equal(isVendored('odd name.py'), true);
+    assert.equal(isVendored('python/yaml/loader.py'), true);
+    assert.equal(isVendored('python/_yaml.py'), true);
+    assert.equal(isVendored('botocore/client.py'), true);
+    assert.equal(isVendored('app.py'), false);
+    assert.equal(isVendored('handlers/requests_client.py'), false);
+  });
+});